@@ -0,0 +1,99 @@
+'use strict';
+
+// Merging of vendor address-book lines. A PATCH that lists addressBook lines
+// without their line id adds new lines, so an update would pile up copies of
+// the same address. Instead each incoming line is matched to an existing one
+// and sent with that line's id; lines that are not in the sheet are left alone.
+
+function text(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function countryId(address) {
+  const country = address && address.country;
+  return text(country && typeof country === 'object' ? country.id : country);
+}
+
+// Identity of an address: first line, city, postcode and country
+function addressKey(address = {}) {
+  const parts = [text(address.addr1), text(address.city), text(address.zip)];
+  if (parts.every(p => !p)) return null;
+  return [...parts, countryId(address)].join('|');
+}
+
+function lineId(item) {
+  if (item.id !== undefined && item.id !== null) return item.id;
+  return item.internalId !== undefined ? item.internalId : null;
+}
+
+// Fields of the incoming address win when they have a value; blanks keep what NetSuite has
+function mergeAddress(existing = {}, incoming = {}) {
+  const merged = {};
+  for (const [key, value] of Object.entries(existing)) {
+    if (key === 'links' || key === 'id' || key === 'addrText') continue;
+    merged[key] = value;
+  }
+  for (const [key, value] of Object.entries(incoming)) {
+    const empty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    if (!empty) merged[key] = value;
+  }
+  return merged;
+}
+
+// Pick the existing line an incoming one updates: same label, then same
+// address, then (for the default billing/shipping line) the current default.
+function findMatch(item, existingItems, used) {
+  const free = existingItems.filter(e => !used.has(e));
+  if (item.label) {
+    const byLabel = free.find(e => e.label && text(e.label) === text(item.label));
+    if (byLabel) return byLabel;
+  }
+  const key = addressKey(item.addressBookAddress);
+  if (key) {
+    const byAddress = free.find(e => addressKey(e.addressBookAddress) === key);
+    if (byAddress) return byAddress;
+  }
+  if (item.defaultBilling) {
+    const billing = free.find(e => e.defaultBilling);
+    if (billing) return billing;
+  }
+  if (item.defaultShipping) {
+    const shipping = free.find(e => e.defaultShipping);
+    if (shipping) return shipping;
+  }
+  return null;
+}
+
+// existingItems: addressBook.items of the vendor as NetSuite returns it (expandSubResources=true)
+// incomingItems: addressBook.items built by the mapper
+// Returns { items, matched, added } with matched lines carrying their NetSuite line id.
+function mergeAddressBook(existingItems, incomingItems) {
+  const used = new Set();
+  const items = [];
+  let matched = 0;
+  for (const item of incomingItems || []) {
+    const existing = findMatch(item, existingItems || [], used);
+    if (!existing || lineId(existing) === null) {
+      items.push(item);
+      continue;
+    }
+    used.add(existing);
+    matched++;
+    const merged = {
+      id: lineId(existing),
+      defaultBilling: item.defaultBilling,
+      defaultShipping: item.defaultShipping,
+      addressBookAddress: mergeAddress(existing.addressBookAddress, item.addressBookAddress)
+    };
+    const label = item.label || existing.label;
+    if (label) merged.label = label;
+    items.push(merged);
+  }
+  return { items, matched, added: items.length - matched };
+}
+
+module.exports = {
+  addressKey,
+  mergeAddress,
+  mergeAddressBook
+};
@@ -0,0 +1,715 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { ConfigError, loadDotenv, resolvePaths, resolveNetSuiteConfig, resolveSheetConfig, DEFAULT_SHEET_ID, SOURCE_SHEET_NAME, EXPORT_SHEET_NAME, STATUS_SHEET_NAME } = require('./config.cjs');
+const { createNetSuiteClient, tokenExpired } = require('./netsuite.cjs');
+const { LookupError, checkLookups, describeLookupStatus, resolveLookupMaxAgeHours } = require('./lookups.cjs');
+const { FETCHERS, resolveFetcherNames, fetchLookups } = require('./lookup-fetcher.cjs');
+const { MappingError } = require('./mapping.cjs');
+const { resolveMatchThreshold } = require('./resolver.cjs');
+const { resolveDuplicateMode, resolveDuplicateThreshold } = require('./duplicates.cjs');
+const { resolveConcurrency, resolveRateLimit } = require('./throttle.cjs');
+const { createSheetsClient, listSheets, readSheetRows } = require('./sheets.cjs');
+const { createVendorSync, resolveRowMode } = require('./sync.cjs');
+const { loadSources, syncSources } = require('./sources.cjs');
+const { createVendorExport } = require('./vendor-export.cjs');
+const { OPEN_TRANSACTION_MODES, checkStatusRequest, createVendorStatus, resolveOpenTransactionMode } = require('./vendor-status.cjs');
+const { createRunLog, buildRunReport, writeRunReport } = require('./run-log.cjs');
+const { NOTIFY_ON, resolveNotifyConfig, notifyRun } = require('./notify.cjs');
+
+const EXIT_OK = 0;
+// Also the code of a sync that stopped early (fatal)
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+// A sync that ran to the end but where some rows failed
+const EXIT_PARTIAL = 3;
+
+class UsageError extends Error {}
+
+// Flags every command understands
+const GLOBAL_FLAGS = {
+  env: { value: true, alias: 'env-path', description: 'Load environment variables from this .env file' },
+  sandbox: { description: 'Use the SANDBOX_* NetSuite credentials' },
+  production: { description: 'Use the production NetSuite credentials, even if SANDBOX_MODE=true' },
+  debug: { description: 'Verbose logging' },
+  help: { alias: 'h', description: 'Show help for the command' }
+};
+
+const SHEET_FLAGS = {
+  'sheet-id': { value: true, description: `Spreadsheet to read (default VENDOR_SHEET_ID, SANDBOX_VENDOR_SHEET_ID in sandbox mode, or ${DEFAULT_SHEET_ID})` },
+  tab: { value: true, description: `Source tab name (default VENDOR_SOURCE_TAB or ${SOURCE_SHEET_NAME})` }
+};
+
+const LOOKUP_AGE_FLAG = {
+  'lookup-max-age': { value: true, description: 'Hours before a lookup file counts as stale (default LOOKUP_MAX_AGE_HOURS or 24)' }
+};
+
+const MAPPING_FLAG = {
+  mapping: { value: true, description: 'Column mapping JSON file (default VENDOR_MAPPING_FILE or vendor-sync/mappings/default.json)' }
+};
+
+const MATCH_THRESHOLD_FLAG = {
+  'match-threshold': { value: true, description: 'Lowest score (0-1) at which a misspelt lookup value is matched (default LOOKUP_MATCH_THRESHOLD or 0.85)' }
+};
+
+const STRICT_LOOKUPS_FLAG = {
+  'strict-lookups': { description: 'Refuse to start when a lookup file is missing, empty or stale' }
+};
+
+const DUPLICATE_FLAGS = {
+  duplicates: { value: true, description: 'New vendors matching an existing one by TIN, ID or name: block, flag or off (default VENDOR_DUPLICATE_MODE or block)' },
+  'duplicate-threshold': { value: true, description: 'Lowest score (0-1) of a strong duplicate match (default VENDOR_DUPLICATE_THRESHOLD or 0.9)' }
+};
+
+const THROTTLE_FLAGS = {
+  concurrency: { value: true, description: 'Rows pushed to NetSuite at the same time (default VENDOR_SYNC_CONCURRENCY or 4)' },
+  'rate-limit': { value: true, description: 'Most NetSuite requests per second (default NETSUITE_RATE_LIMIT or 5)' }
+};
+
+const OPEN_TRANSACTIONS_FLAG = {
+  'open-transactions': { value: true, description: `Deactivating a vendor with open bills/POs: ${OPEN_TRANSACTION_MODES.join(' or ')} (default VENDOR_OPEN_TRANSACTIONS or refuse)` }
+};
+
+const COMMANDS = [
+  {
+    name: 'vendors sync',
+    summary: 'Push vendors from the intake sheet to NetSuite',
+    description: 'Each row of the source tab is mapped to a NetSuite vendor and created or updated.\n' +
+      'Synced rows are moved to the Synced tab; failures are written to the Errors tab.\n' +
+      'The Errors tab keeps one entry per Key/Code: repeat failures update it (Attempts, Last_Seen) and\n' +
+      'it is marked resolved once the vendor syncs. Tick its Retry box to put the row (with any values\n' +
+      'corrected on the Errors tab) back on the source tab for the next run.\n' +
+      'Rows are found again by content just before they are deleted, so rows inserted, sorted or\n' +
+      'edited during a run are never deleted by mistake; a row edited after its push stays on the tab.\n' +
+      'Rows with validation errors (see vendors validate), such as malformed LHDN TIN/BRN/NRIC/SST\n' +
+      'or MSIC values, are not sent to NetSuite and are written to the Errors tab.\n' +
+      'Stale or missing lookup files are refetched from NetSuite before the first row.\n' +
+      'Before a vendor is created, NetSuite is searched for vendors with the same TIN, identification code\n' +
+      'or company name. A strong match blocks the row (or only flags it with --duplicates flag); set the\n' +
+      'Allow_Duplicate column to yes on a reviewed row to create it anyway.\n' +
+      'Rows are pushed several at a time; NetSuite throttling (429/503, SSS_REQUEST_LIMIT_EXCEEDED)\n' +
+      'slows the requests down and retries them. Results are reported in row order.\n' +
+      'With --row-mode status rows stay on the source tab instead: Sync_Status, NetSuite_ID, Synced_At,\n' +
+      'Last_Error and Sync_Hash columns record the outcome, and rows synced and unchanged since are skipped.\n' +
+      'Each pushed, copied and deleted row is recorded in a local journal; after a crash the next run\n' +
+      'finishes the sheet steps of rows already in NetSuite instead of pushing them again.\n' +
+      'With --sources several spreadsheet/tab pairs are synced in one run, each with its own mapping,\n' +
+      'Synced and Errors tabs (see sources.cjs for the file format).\n' +
+      'With --log-json every step is also logged as a JSON line (level, runId, stage, rowKey, durationMs),\n' +
+      'and --summary-file writes the created, updated, unchanged, skipped, failed and warned rows with vendor ids.\n' +
+      'At the end a digest of new, updated and failed vendors is sent by email and/or Slack or Teams\n' +
+      'webhook when VENDOR_NOTIFY_SMTP_HOST or VENDOR_NOTIFY_WEBHOOK_URL is set (see notify.cjs).\n' +
+      `Exits ${EXIT_OK} when every row synced, ${EXIT_PARTIAL} when the run finished but some rows failed, and ${EXIT_FAILURE} when\n` +
+      'the run stopped early (configuration, lookups, authentication, Sheets access).',
+    flags: {
+      ...SHEET_FLAGS,
+      sources: { value: true, description: 'JSON file listing the spreadsheets/tabs to sync (default VENDOR_SYNC_SOURCES; ignored with --sheet-id/--tab)' },
+      'log-json': { value: true, description: 'Append JSON-lines run events to this file, - for stdout (default VENDOR_SYNC_LOG_FILE)' },
+      'summary-file': { value: true, description: 'Write the run summary as JSON to this file (default VENDOR_SYNC_SUMMARY_FILE)' },
+      'notify-on': { value: true, description: `When to send the run digest: ${NOTIFY_ON.join(', ')} (default VENDOR_NOTIFY_ON or always)` },
+      'notify-to': { value: true, description: 'Comma-separated email recipients of the digest (default VENDOR_NOTIFY_TO)' },
+      ...MAPPING_FLAG,
+      ...MATCH_THRESHOLD_FLAG,
+      ...DUPLICATE_FLAGS,
+      ...THROTTLE_FLAGS,
+      'row-mode': { value: true, description: 'What happens to synced rows: move (to Synced) or status (default VENDOR_SYNC_ROW_MODE or move)' },
+      journal: { value: true, description: 'Crash-recovery journal file (default VENDOR_SYNC_JOURNAL or .vendor_sync_journal.jsonl next to the token cache)' },
+      'no-journal': { description: 'Do not keep a journal; an interrupted run may push rows again' },
+      'dry-run': { description: 'Look up vendors but do not create, update or move anything' },
+      ...LOOKUP_AGE_FLAG,
+      ...STRICT_LOOKUPS_FLAG,
+      'no-refresh-lookups': { description: 'Do not refetch stale lookup files; only warn (or stop with --strict-lookups)' }
+    },
+    run: vendorsSync
+  },
+  {
+    name: 'vendors validate',
+    summary: 'Check every row against the lookup files without calling NetSuite',
+    description: 'Maps each row of the source tab offline (no token, no vendor lookups) and reports per row:\n' +
+      '  errors   - the row would be rejected or saved with a wrong value (e.g. unknown country -> Malaysia)\n' +
+      '  warnings - a default or a name-only reference would be sent (empty MSIC -> 00000, unknown currency)\n' +
+      'Misspelt lookup values are matched by similarity; a low-confidence match is an error that names the\n' +
+      'closest entry. Add aliases to lookup_aliases.json next to the lookup files (or LOOKUP_ALIASES_FILE).\n' +
+      'Exits 1 when any row has an error; warnings alone exit 0.',
+    flags: {
+      ...SHEET_FLAGS,
+      ...MAPPING_FLAG,
+      ...MATCH_THRESHOLD_FLAG,
+      ...LOOKUP_AGE_FLAG,
+      ...STRICT_LOOKUPS_FLAG,
+      annotate: { description: 'Write the issues back to the source tab as cell notes and highlights' },
+      json: { description: 'Print the report as JSON on stdout' }
+    },
+    run: vendorsValidate
+  },
+  {
+    name: 'vendors export',
+    summary: 'Write the vendors in NetSuite to a tab in the intake sheet layout',
+    description: `Reads vendors from NetSuite and writes one row per vendor to the ${EXPORT_SHEET_NAME} tab, with the\n` +
+      'columns of the source tab (address book, category, ASSA segments, currency, E-Invoice fields) filled\n' +
+      'from the vendor record, plus NetSuite_ID and NetSuite_Last_Modified.\n' +
+      'Only vendors modified since the latest NetSuite_Last_Modified on the tab are read again; their rows\n' +
+      'are rewritten in place and new vendors are appended. --full rewrites the whole tab.\n' +
+      'Vendors modified after one that could not be read are left for the next run.\n' +
+      `Exits ${EXIT_PARTIAL} when some vendors could not be read.`,
+    flags: {
+      ...SHEET_FLAGS,
+      'export-tab': { value: true, description: `Tab to write (default VENDOR_EXPORT_TAB or ${EXPORT_SHEET_NAME})` },
+      full: { description: 'Read every vendor and rewrite the tab instead of only vendors modified since the last export' },
+      ...MAPPING_FLAG,
+      ...THROTTLE_FLAGS,
+      'dry-run': { description: 'Read vendors from NetSuite but do not write the tab' }
+    },
+    run: vendorsExport
+  },
+  {
+    name: 'vendors deactivate',
+    args: '<code>',
+    summary: 'Make a vendor inactive in NetSuite, recording the reason',
+    description: 'Sets isInactive on the vendor with this Code and adds a dated line with --reason to its memo field\n' +
+      '(comments, or VENDOR_STATUS_MEMO_FIELD); the rest of the vendor is left as it is.\n' +
+      'A vendor with open bills or purchase orders is refused, unless --force or --open-transactions warn.\n' +
+      'Exits 1 when the vendor was not changed.',
+    flags: {
+      reason: { value: true, description: 'Why the vendor is deactivated (required)' },
+      force: { description: 'Deactivate even when the vendor has open bills or purchase orders' },
+      ...OPEN_TRANSACTIONS_FLAG,
+      'dry-run': { description: 'Check the vendor but do not change it' }
+    },
+    run: vendorsDeactivate
+  },
+  {
+    name: 'vendors reactivate',
+    args: '<code>',
+    summary: 'Make an inactive vendor active again, recording the reason',
+    description: 'Clears isInactive on the vendor with this Code and adds a dated line with --reason to its memo field.\n' +
+      'Exits 1 when the vendor was not changed.',
+    flags: {
+      reason: { value: true, description: 'Why the vendor is reactivated (required)' },
+      'dry-run': { description: 'Check the vendor but do not change it' }
+    },
+    run: vendorsReactivate
+  },
+  {
+    name: 'vendors status-changes',
+    summary: `Apply the deactivations and reactivations listed on the ${STATUS_SHEET_NAME} tab`,
+    description: `Each row of the ${STATUS_SHEET_NAME} tab with Code, Action (deactivate or reactivate) and Reason is applied\n` +
+      'as with vendors deactivate/reactivate; Force set to yes deactivates despite open transactions.\n' +
+      'The outcome goes to Status (done, unchanged, refused, failed), Processed_At and Result. Rows with an\n' +
+      'empty or failed Status are processed; clear Status to ask again. The tab is created when missing.\n' +
+      `Exits ${EXIT_PARTIAL} when some requests were refused or failed.`,
+    flags: {
+      'sheet-id': SHEET_FLAGS['sheet-id'],
+      'status-tab': { value: true, description: `Tab listing the requests (default VENDOR_STATUS_TAB or ${STATUS_SHEET_NAME})` },
+      ...OPEN_TRANSACTIONS_FLAG,
+      'dry-run': { description: 'Check the requests but do not change vendors or write the tab' }
+    },
+    run: vendorsStatusChanges
+  },
+  {
+    name: 'lookups list',
+    summary: 'Show the lookup files, how many entries each holds and whether it is stale',
+    description: 'Exits 1 when any file is missing, empty, unstamped or stale.',
+    flags: { ...LOOKUP_AGE_FLAG },
+    run: lookupsList
+  },
+  {
+    name: 'lookups fetch',
+    args: '<name|all>',
+    summary: 'Rebuild lookup files from NetSuite',
+    description: `Names: ${Object.keys(FETCHERS).join(', ')}\n` +
+      'A lookup file name such as msicLookup also works. Each file records when and from which account it was fetched.\n' +
+      'Exits 1 when any list could not be fetched.',
+    flags: {},
+    run: lookupsFetch
+  },
+  {
+    name: 'token show',
+    summary: 'Show the cached NetSuite access token and when it expires',
+    flags: {},
+    run: tokenShow
+  },
+  {
+    name: 'token refresh',
+    summary: 'Request a new NetSuite access token and cache it',
+    flags: {},
+    run: tokenRefresh
+  },
+  {
+    name: 'token revoke',
+    summary: 'Delete the cached NetSuite access token',
+    description: 'Client-credentials tokens cannot be revoked remotely; they expire on their own.\n' +
+      'This removes the local cache so the next command requests a fresh token.',
+    flags: {},
+    run: tokenRevoke
+  },
+  {
+    name: 'sheet inspect',
+    summary: 'List the tabs of the spreadsheet and the source tab headers',
+    flags: { ...SHEET_FLAGS },
+    run: sheetInspect
+  }
+];
+
+function parseArgs(argv, flagSpecs) {
+  const byName = {};
+  for (const [name, spec] of Object.entries(flagSpecs)) {
+    byName[name] = { name, ...spec };
+    if (spec.alias) byName[spec.alias] = { name, ...spec };
+  }
+
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+    const [, rawName, inlineValue] = arg.match(/^--?([^=]+)(?:=(.*))?$/s);
+    const spec = byName[rawName];
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+    if (spec.value) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new UsageError(`Option --${spec.name} needs a value`);
+      }
+      flags[spec.name] = value;
+    } else {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option --${spec.name} does not take a value`);
+      }
+      flags[spec.name] = true;
+    }
+  }
+  return { positionals, flags };
+}
+
+function findCommand(positionals) {
+  for (const command of COMMANDS) {
+    const words = command.name.split(' ');
+    if (words.every((w, i) => positionals[i] === w)) {
+      return { command, args: positionals.slice(words.length) };
+    }
+  }
+  return null;
+}
+
+function formatFlags(flagSpecs) {
+  return Object.entries(flagSpecs).map(([name, spec]) => {
+    const label = `--${name}${spec.value ? ' <value>' : ''}${spec.alias ? `, -${spec.alias.length === 1 ? '' : '-'}${spec.alias}` : ''}`;
+    return `  ${label.padEnd(28)} ${spec.description}`;
+  }).join('\n');
+}
+
+function generalHelp() {
+  const lines = COMMANDS.map(c => `  ${`${c.name}${c.args ? ` ${c.args}` : ''}`.padEnd(28)} ${c.summary}`);
+  return [
+    'Usage: vendor-sync <command> [options]',
+    '',
+    'Commands:',
+    ...lines,
+    '',
+    'Options for every command:',
+    formatFlags(GLOBAL_FLAGS),
+    '',
+    'Run "vendor-sync <command> --help" for command options.'
+  ].join('\n');
+}
+
+function commandHelp(command) {
+  const parts = [
+    `Usage: vendor-sync ${command.name}${command.args ? ` ${command.args}` : ''} [options]`,
+    '',
+    command.summary + '.'
+  ];
+  if (command.description) {
+    parts.push('', command.description);
+  }
+  if (Object.keys(command.flags).length > 0) {
+    parts.push('', 'Options:', formatFlags(command.flags));
+  }
+  parts.push('', 'Options for every command:', formatFlags(GLOBAL_FLAGS));
+  return parts.join('\n');
+}
+
+// --sandbox / --production override SANDBOX_MODE; neither leaves it to the env
+function sandboxOverride(flags) {
+  if (flags.sandbox && flags.production) {
+    throw new UsageError('Use either --sandbox or --production, not both');
+  }
+  if (flags.sandbox) return true;
+  if (flags.production) return false;
+  return undefined;
+}
+
+function netsuiteOptions(flags) {
+  const sandbox = sandboxOverride(flags);
+  return sandbox === undefined ? {} : { sandbox };
+}
+
+function lookupMaxAge(flags) {
+  try {
+    return resolveLookupMaxAgeHours(flags['lookup-max-age']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function matchThreshold(flags) {
+  try {
+    return resolveMatchThreshold(flags['match-threshold']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function duplicateSettings(flags) {
+  try {
+    return {
+      duplicateMode: resolveDuplicateMode(flags.duplicates),
+      duplicateThreshold: resolveDuplicateThreshold(flags['duplicate-threshold'])
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function throttleSettings(flags) {
+  try {
+    return {
+      concurrency: resolveConcurrency(flags.concurrency),
+      rateLimit: resolveRateLimit(flags['rate-limit'])
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function rowMode(flags) {
+  try {
+    return resolveRowMode(flags['row-mode']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function vendorSyncOptions(flags) {
+  const { concurrency, rateLimit } = throttleSettings(flags);
+  return {
+    sheetId: flags['sheet-id'],
+    sourceSheetName: flags.tab,
+    mapping: flags.mapping,
+    matchThreshold: matchThreshold(flags),
+    ...duplicateSettings(flags),
+    concurrency,
+    rowMode: rowMode(flags),
+    journalFile: flags.journal,
+    journal: !flags['no-journal'],
+    netsuite: { ...netsuiteOptions(flags), rateLimit },
+    debug: Boolean(flags.debug),
+    dryRun: Boolean(flags['dry-run']),
+    lookupMaxAgeHours: lookupMaxAge(flags),
+    strictLookups: Boolean(flags['strict-lookups']),
+    refreshLookups: !flags['no-refresh-lookups']
+  };
+}
+
+function notifyConfig(flags) {
+  const on = flags['notify-on'];
+  if (on !== undefined && !NOTIFY_ON.includes(String(on).trim().toLowerCase())) {
+    throw new UsageError(`--notify-on must be one of ${NOTIFY_ON.join(', ')}, got "${on}"`);
+  }
+  return resolveNotifyConfig(process.env, { on, to: flags['notify-to'] });
+}
+
+function buildVendorSync(flags) {
+  return createVendorSync(vendorSyncOptions(flags));
+}
+
+async function vendorsSync({ flags }) {
+  if (flags.sources && (flags['sheet-id'] || flags.tab)) {
+    throw new UsageError('Use either --sources or --sheet-id/--tab, not both');
+  }
+  const sourcesFile = flags.sources || (!flags['sheet-id'] && !flags.tab && process.env.VENDOR_SYNC_SOURCES);
+  const summaryFile = flags['summary-file'] || process.env.VENDOR_SYNC_SUMMARY_FILE;
+  const log = createRunLog({ file: flags['log-json'] || process.env.VENDOR_SYNC_LOG_FILE, debug: Boolean(flags.debug) });
+  const options = { ...vendorSyncOptions(flags), log };
+  const notify = notifyConfig(flags);
+  const { sandbox } = resolveNetSuiteConfig(process.env, netsuiteOptions(flags));
+  const startedAt = new Date();
+  const meta = { runId: log.runId, startedAt, dryRun: Boolean(flags['dry-run']), sources: sourcesFile || undefined };
+
+  let summary;
+  try {
+    summary = sourcesFile
+      ? await syncSources(loadSources(sourcesFile, { sandbox }), options)
+      : await createVendorSync(options).syncAll();
+  } catch (error) {
+    // The scheduler still gets a log line, a summary and a digest saying the run stopped
+    log.error('run', { event: 'fatal', error: error.message, durationMs: Date.now() - startedAt });
+    log.close();
+    if (summaryFile) writeRunReport(summaryFile, buildRunReport(null, { ...meta, error }));
+    await notifyRun(null, { runId: log.runId, error, sandbox, dryRun: meta.dryRun }, { config: notify, debug: Boolean(flags.debug) });
+    throw error;
+  }
+  log.close();
+
+  if (summaryFile) {
+    const written = writeRunReport(summaryFile, buildRunReport(summary, meta));
+    console.error(`Run summary written to ${written}`);
+  }
+  await notifyRun(summary, { runId: log.runId, sandbox, dryRun: meta.dryRun }, { config: notify, debug: Boolean(flags.debug) });
+  return summary.errorCount > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+async function vendorsExport({ flags }) {
+  const { concurrency, rateLimit } = throttleSettings(flags);
+  const vendorExport = createVendorExport({
+    sheetId: flags['sheet-id'],
+    sourceSheetName: flags.tab,
+    exportSheetName: flags['export-tab'],
+    mapping: flags.mapping,
+    concurrency,
+    netsuite: { ...netsuiteOptions(flags), rateLimit },
+    debug: Boolean(flags.debug),
+    dryRun: Boolean(flags['dry-run'])
+  });
+  const summary = await vendorExport.exportAll({ full: Boolean(flags.full) });
+  return summary.failed.length > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+function vendorStatus(flags) {
+  let openTransactions;
+  try {
+    openTransactions = resolveOpenTransactionMode(flags['open-transactions']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return createVendorStatus({
+    sheetId: flags['sheet-id'],
+    statusSheetName: flags['status-tab'],
+    openTransactions,
+    netsuite: netsuiteOptions(flags),
+    debug: Boolean(flags.debug),
+    dryRun: Boolean(flags['dry-run'])
+  });
+}
+
+async function changeVendorStatus(action, { flags, args }) {
+  const request = { code: args[0], action, reason: flags.reason, force: Boolean(flags.force) };
+  const problem = checkStatusRequest(request);
+  if (problem) {
+    throw new UsageError(args[0] ? `${problem} (--reason)` : `vendors ${action} needs a vendor Code`);
+  }
+  const result = await vendorStatus(flags).changeStatus(request);
+  return result.status === 'done' || result.status === 'unchanged' ? EXIT_OK : EXIT_FAILURE;
+}
+
+function vendorsDeactivate(context) {
+  return changeVendorStatus('deactivate', context);
+}
+
+function vendorsReactivate(context) {
+  return changeVendorStatus('reactivate', context);
+}
+
+async function vendorsStatusChanges({ flags }) {
+  const results = await vendorStatus(flags).processSheet();
+  return results.some(r => r.status === 'refused' || r.status === 'failed') ? EXIT_PARTIAL : EXIT_OK;
+}
+
+async function vendorsValidate({ flags }) {
+  const { results } = await buildVendorSync(flags).validateAll({ annotate: Boolean(flags.annotate) });
+  const failed = results.filter(r => !r.ok);
+  const warned = results.filter(r => r.ok && r.warnings.length > 0);
+  for (const result of results) {
+    const where = `${result.rowKey} (row ${result.rowIndex + 1})`;
+    const rule = result.rule ? ` [foreign rule: ${result.rule}]` : '';
+    console.error(`${result.ok ? (result.warnings.length > 0 ? '⚠' : '✓') : '✗'} ${where}${rule}`);
+    for (const issue of [...result.errors, ...result.warnings]) {
+      console.error(`    ${issue.level === 'error' ? 'error  ' : 'warning'} ${issue.column}: ${issue.message}`);
+    }
+  }
+  console.error(`\n${results.length - failed.length} of ${results.length} rows are ready to push` +
+    ` (${warned.length} with warnings, ${failed.length} with errors)`);
+  if (flags.json) {
+    const report = results.map(({ rowKey, rowIndex, ok, errors, warnings, rule }) => ({
+      rowKey,
+      sheetRow: rowIndex + 1,
+      ok,
+      rule: rule || null,
+      errors,
+      warnings
+    }));
+    console.log(JSON.stringify(report, null, 2));
+  }
+  return failed.length > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function lookupsList({ flags }) {
+  const maxAgeHours = lookupMaxAge(flags);
+  const statuses = checkLookups(resolvePaths().lookupDir, maxAgeHours);
+  for (const status of statuses) {
+    const detail = status.state === 'missing' ? '' : `${status.entries} entries${status.fetched_at ? `, fetched ${status.fetched_at}` : ''}`;
+    console.log(`${status.name.padEnd(22)} ${status.file.padEnd(32)} ${status.state.padEnd(10)} ${detail}`);
+  }
+  const problems = statuses.filter(s => s.state !== 'ok');
+  if (problems.length > 0) {
+    console.error(`\n${problems.length} lookup file(s) need a refresh (max age ${maxAgeHours}h):`);
+    problems.forEach(p => console.error(`  - ${describeLookupStatus(p)}`));
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
+}
+
+async function lookupsFetch({ flags, args }) {
+  const target = args[0];
+  if (!target) {
+    throw new UsageError('lookups fetch needs a lookup name or "all"');
+  }
+  try {
+    resolveFetcherNames(target);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const client = createNetSuiteClient(netsuiteOptions(flags));
+  const results = await fetchLookups(client, target);
+  return results.every(r => r.ok) ? EXIT_OK : EXIT_FAILURE;
+}
+
+function maskToken(value) {
+  if (!value) return null;
+  return value.length <= 12 ? '***' : `${value.slice(0, 6)}…${value.slice(-4)}`;
+}
+
+async function tokenShow({ flags }) {
+  const client = createNetSuiteClient(netsuiteOptions(flags));
+  const record = client.readTokenRecord();
+  const info = {
+    domain: client.config.domain || null,
+    sandbox: client.config.sandbox,
+    tokenStore: client.config.tokenStore,
+    cached: Boolean(record && record.raw && record.raw.access_token)
+  };
+  if (info.cached) {
+    info.fetched_at = record.fetched_at || null;
+    info.expires_at = record.expires_at || null;
+    info.expired = tokenExpired(record);
+    info.scope = record.raw.scope || null;
+    info.access_token = maskToken(record.raw.access_token);
+  }
+  console.log(JSON.stringify(info, null, 2));
+  return EXIT_OK;
+}
+
+async function tokenRefresh({ flags }) {
+  const client = createNetSuiteClient(netsuiteOptions(flags));
+  await client.getValidAccessToken({ forceRefresh: true });
+  const record = client.readTokenRecord();
+  console.error(`✓ New token cached in ${client.config.tokenStore}${record && record.expires_at ? ` (expires ${record.expires_at})` : ''}`);
+  return EXIT_OK;
+}
+
+async function tokenRevoke({ flags }) {
+  const client = createNetSuiteClient(netsuiteOptions(flags));
+  if (!fs.existsSync(client.config.tokenStore)) {
+    console.error(`No cached token at ${client.config.tokenStore}`);
+    return EXIT_OK;
+  }
+  fs.unlinkSync(client.config.tokenStore);
+  console.error(`✓ Removed cached token ${client.config.tokenStore}`);
+  return EXIT_OK;
+}
+
+async function sheetInspect({ flags }) {
+  const { sheetId: spreadsheetId, sourceSheetName: tab } = resolveSheetConfig(process.env, {
+    sandbox: sandboxOverride(flags),
+    sheetId: flags['sheet-id'],
+    sourceSheetName: flags.tab
+  });
+  const sheets = await createSheetsClient(resolvePaths().serviceAccount);
+  const { title, tabs } = await listSheets(sheets, spreadsheetId);
+  console.log(`Spreadsheet: ${title} (${spreadsheetId})`);
+  for (const t of tabs) {
+    console.log(`  [${t.sheetId}] ${t.title} (${t.rowCount} x ${t.columnCount})`);
+  }
+  if (!tabs.some(t => t.title === tab)) {
+    console.error(`Source tab "${tab}" not found`);
+    return EXIT_FAILURE;
+  }
+  const { headers, records } = await readSheetRows(sheets, spreadsheetId, tab);
+  console.log(`\n${tab}: ${records.length} data rows`);
+  console.log(`Headers: ${headers.join(', ')}`);
+  return EXIT_OK;
+}
+
+// Run the CLI and resolve to the process exit code
+async function run(argv) {
+  let command = null;
+  try {
+    // Parse against every known flag first so option values are not mistaken for the command
+    const allFlags = Object.assign({}, GLOBAL_FLAGS, ...COMMANDS.map(c => c.flags));
+    const { positionals, flags } = parseArgs(argv, allFlags);
+    const found = findCommand(positionals);
+    command = found ? found.command : null;
+
+    if (!command) {
+      if (positionals.length > 0) {
+        throw new UsageError(`Unknown command: ${positionals.join(' ')}`);
+      }
+      console.log(generalHelp());
+      return flags.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (flags.help) {
+      console.log(commandHelp(command));
+      return EXIT_OK;
+    }
+    for (const name of Object.keys(flags)) {
+      if (!GLOBAL_FLAGS[name] && !command.flags[name]) {
+        throw new UsageError(`Option --${name} is not valid for "${command.name}"`);
+      }
+    }
+
+    loadDotenv(flags.env);
+    return await command.run({ flags, args: found.args });
+  } catch (error) {
+    if (error instanceof LookupError || error instanceof MappingError || error instanceof ConfigError) {
+      console.error(error.message);
+      return EXIT_FAILURE;
+    }
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(command ? commandHelp(command) : generalHelp());
+      return EXIT_USAGE;
+    }
+    console.error('Fatal error:', error.message);
+    if (error.response) {
+      console.error('API Error:', JSON.stringify(error.response.data, null, 2));
+    }
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  EXIT_PARTIAL,
+  COMMANDS,
+  parseArgs,
+  run
+};
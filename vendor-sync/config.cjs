@@ -0,0 +1,103 @@
+'use strict';
+
+const path = require('path');
+
+// Credentials, the token cache and the lookup files live one directory above
+// the checkout, which is where test.js has always looked for them.
+// VENDOR_SYNC_ROOT overrides it (read by resolvePaths, so .env can set it).
+const DEFAULT_ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// Sheet ID from user
+const DEFAULT_SHEET_ID = '1oYdWKQH2Igz7huhMKKsvFFDzABafRe0W7l1vD-Py45o';
+const SOURCE_SHEET_NAME = 'Sheet1'; // Change if your source sheet has a different name
+const SYNCED_SHEET_NAME = 'Synced';
+const ERROR_SHEET_NAME = 'Errors';
+// Vendors exported back from NetSuite (see vendor-export.cjs)
+const EXPORT_SHEET_NAME = 'NetSuite Vendors';
+// Deactivation/reactivation requests (see vendor-status.cjs)
+const STATUS_SHEET_NAME = 'Vendor Status';
+
+class ConfigError extends Error {}
+
+// Spreadsheet and tab names for a run. Production reads VENDOR_SHEET_ID,
+// VENDOR_SOURCE_TAB, VENDOR_SYNCED_TAB, VENDOR_ERROR_TAB, VENDOR_EXPORT_TAB and
+// VENDOR_STATUS_TAB; sandbox mode reads the SANDBOX_-prefixed ones instead.
+// `overrides` (sheetId, sourceSheetName, syncedSheetName, errorSheetName,
+// exportSheetName, statusSheetName) win over both. Sandbox runs need their own
+// spreadsheet: the production one is never used as a fallback.
+function resolveSheetConfig(env = process.env, overrides = {}) {
+  const sandbox = overrides.sandbox !== undefined ? Boolean(overrides.sandbox) : env.SANDBOX_MODE === 'true';
+  const prefix = sandbox ? 'SANDBOX_' : '';
+  const sheetId = overrides.sheetId || env[`${prefix}VENDOR_SHEET_ID`] || (sandbox ? null : DEFAULT_SHEET_ID);
+  if (!sheetId) {
+    throw new ConfigError('Sandbox mode needs its own spreadsheet: set SANDBOX_VENDOR_SHEET_ID (or pass a sheet id); the production vendor sheet is not used for sandbox runs');
+  }
+  // Tab names fall back to the production names: they only matter within the chosen spreadsheet
+  const tab = (name, fallback) => env[`${prefix}${name}`] || env[name] || fallback;
+  return {
+    sandbox,
+    sheetId,
+    sourceSheetName: overrides.sourceSheetName || tab('VENDOR_SOURCE_TAB', SOURCE_SHEET_NAME),
+    syncedSheetName: overrides.syncedSheetName || tab('VENDOR_SYNCED_TAB', SYNCED_SHEET_NAME),
+    errorSheetName: overrides.errorSheetName || tab('VENDOR_ERROR_TAB', ERROR_SHEET_NAME),
+    exportSheetName: overrides.exportSheetName || tab('VENDOR_EXPORT_TAB', EXPORT_SHEET_NAME),
+    statusSheetName: overrides.statusSheetName || tab('VENDOR_STATUS_TAB', STATUS_SHEET_NAME)
+  };
+}
+
+// Flexible .env loading (DOTENV_PATH / ENV_PATH or an explicit path)
+function loadDotenv(dotenvPath) {
+  const resolved = dotenvPath || process.env.DOTENV_PATH || process.env.ENV_PATH || undefined;
+  try {
+    require('dotenv').config(resolved ? { path: path.resolve(resolved) } : undefined);
+  } catch (_e) {}
+}
+
+function resolvePaths(rootDir) {
+  if (!rootDir) rootDir = process.env.VENDOR_SYNC_ROOT ? path.resolve(process.env.VENDOR_SYNC_ROOT) : DEFAULT_ROOT_DIR;
+  return {
+    rootDir,
+    serviceAccount: path.join(rootDir, 'service-account.json'),
+    tokenStore: path.join(rootDir, '.netsuite_token.json'),
+    sandboxTokenStore: path.join(rootDir, '.netsuite_token.sandbox.json'),
+    jsrsasign: path.join(rootDir, 'jsrsasign-latest-all-min.js'),
+    journal: path.join(rootDir, '.vendor_sync_journal.jsonl'),
+    sandboxJournal: path.join(rootDir, '.vendor_sync_journal.sandbox.jsonl'),
+    lookupDir: rootDir
+  };
+}
+
+// Select NetSuite credentials based on sandbox mode
+function resolveNetSuiteConfig(env = process.env, overrides = {}) {
+  const sandbox = overrides.sandbox !== undefined ? Boolean(overrides.sandbox) : env.SANDBOX_MODE === 'true';
+  const paths = resolvePaths(overrides.rootDir);
+  return {
+    sandbox,
+    domain: sandbox ? env.SANDBOX_NETSUITE_DOMAIN : env.NETSUITE_DOMAIN,
+    tokenPath: env.NETSUITE_TOKEN_PATH || '/services/rest/auth/oauth2/v1/token',
+    consumerKey: sandbox ? env.SANDBOX_CONSUMER_KEY : env.CONSUMER_KEY,
+    certificatePrivateKey: sandbox ? env.SANDBOX_CERTIFICATE_PRIVATE_KEY : env.CERTIFICATE_PRIVATE_KEY,
+    certificatePrivateKeyPath: env.CERTIFICATE_PRIVATE_KEY_PATH,
+    certificateKid: sandbox ? env.SANDBOX_CERTIFICATE_KID : env.CERTIFICATE_KID,
+    scopes: env.SCOPES || 'restlets,rest_webservices',
+    // Keep sandbox and production tokens apart so switching accounts never reuses the wrong one
+    tokenStore: sandbox ? paths.sandboxTokenStore : paths.tokenStore,
+    jsrsasignFile: paths.jsrsasign,
+    ...overrides
+  };
+}
+
+module.exports = {
+  DEFAULT_ROOT_DIR,
+  DEFAULT_SHEET_ID,
+  SOURCE_SHEET_NAME,
+  SYNCED_SHEET_NAME,
+  ERROR_SHEET_NAME,
+  EXPORT_SHEET_NAME,
+  STATUS_SHEET_NAME,
+  ConfigError,
+  loadDotenv,
+  resolveSheetConfig,
+  resolvePaths,
+  resolveNetSuiteConfig
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const { mergeAddressBook } = require('./address-book.cjs');
+
+// How a field that already has a value in NetSuite is treated on update:
+//   sheet-wins     the sheet value replaces it (the default)
+//   netsuite-wins  NetSuite keeps its value; the sheet only matters on create
+//   fill-if-empty  the sheet value is only written when NetSuite has none
+const POLICIES = ['sheet-wins', 'netsuite-wins', 'fill-if-empty'];
+const DEFAULT_POLICY = 'sheet-wins';
+
+// Field -> policy from a column mapping ("policy" on a field, "defaultPolicy" at the top)
+function fieldPolicies(mapping = {}) {
+  const policies = {};
+  for (const [name, spec] of Object.entries(mapping.fields || {})) {
+    if (spec && spec.policy) policies[name] = spec.policy;
+  }
+  return { policies, defaultPolicy: mapping.defaultPolicy || DEFAULT_POLICY };
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if ('items' in value) return !value.items || value.items.length === 0;
+    return (value.id === undefined || value.id === null || value.id === '') && !value.refName;
+  }
+  return false;
+}
+
+function sameText(a, b) {
+  return String(a === undefined || a === null ? '' : a).trim() === String(b === undefined || b === null ? '' : b).trim();
+}
+
+// Does NetSuite's value already equal what the sheet would send? References
+// compare by id when the sheet has one, otherwise by refName (case-insensitive).
+function sameValue(current, incoming) {
+  if (incoming !== null && typeof incoming === 'object') {
+    if (current === null || typeof current !== 'object') return false;
+    if (incoming.id !== undefined && incoming.id !== null && incoming.id !== '') {
+      return String(current.id) === String(incoming.id);
+    }
+    return String(current.refName || '').trim().toUpperCase() === String(incoming.refName || '').trim().toUpperCase();
+  }
+  if (typeof incoming === 'boolean') return Boolean(current) === incoming;
+  return sameText(current, incoming);
+}
+
+function sameAddress(current = {}, incoming = {}) {
+  return Object.entries(incoming).every(([key, value]) => sameValue(current[key], value));
+}
+
+// An address-book line changed when it is new or any field the sheet sends differs
+function addressLineChanged(line, currentItems) {
+  if (line.id === undefined) return true;
+  const current = currentItems.find(item => String(item.id) === String(line.id));
+  if (!current) return true;
+  return Boolean(current.defaultBilling) !== Boolean(line.defaultBilling)
+    || Boolean(current.defaultShipping) !== Boolean(line.defaultShipping)
+    || (line.label !== undefined && !sameText(current.label, line.label))
+    || !sameAddress(current.addressBookAddress, line.addressBookAddress);
+}
+
+// Short text of a value for the diff listing
+function describeValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (typeof value === 'object') {
+    if (Array.isArray(value.items)) return `${value.items.length} address line(s)`;
+    if (value.refName) return value.refName;
+    if (value.id !== undefined) return `#${value.id}`;
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Compare the mapped payload with the vendor as NetSuite returns it
+// (expandSubResources=true). Returns
+//   changes  the fields to PATCH
+//   diff     [{ field, from, to, policy, applied }] for every field that differs;
+//            applied is false when the policy kept NetSuite's value
+// The address book is merged line by line (see address-book.cjs) and only sent
+// when a line is new or different.
+function diffVendor(current, payload, options = {}) {
+  const policies = options.policies || {};
+  const defaultPolicy = options.defaultPolicy || DEFAULT_POLICY;
+  const changes = {};
+  const diff = [];
+
+  for (const [field, incoming] of Object.entries(payload)) {
+    const policy = policies[field] || defaultPolicy;
+    const existing = current[field];
+
+    if (field === 'addressBook') {
+      const currentItems = (existing && existing.items) || [];
+      const merged = mergeAddressBook(currentItems, (incoming && incoming.items) || []);
+      const changed = merged.items.filter(line => addressLineChanged(line, currentItems));
+      if (changed.length === 0) continue;
+      const applied = policy === 'sheet-wins' || (policy === 'fill-if-empty' && currentItems.length === 0);
+      if (applied) changes.addressBook = { items: merged.items };
+      diff.push({
+        field,
+        from: describeValue(existing),
+        to: `${changed.filter(l => l.id === undefined).length} new, ${changed.filter(l => l.id !== undefined).length} changed address line(s)`,
+        policy,
+        applied
+      });
+      continue;
+    }
+
+    if (sameValue(existing, incoming)) continue;
+    // An empty sheet value never clears a filled NetSuite field
+    if (isEmpty(incoming) && !isEmpty(existing)) continue;
+    const applied = policy === 'sheet-wins' || (policy === 'fill-if-empty' && isEmpty(existing));
+    if (applied) changes[field] = incoming;
+    diff.push({ field, from: describeValue(existing), to: describeValue(incoming), policy, applied });
+  }
+  return { changes, diff };
+}
+
+// One line per differing field, for logs and dry-run output
+function formatDiff(diff) {
+  return diff.map(d => `${d.field}: ${d.from} → ${d.to}${d.applied ? '' : ` (kept NetSuite value, ${d.policy})`}`);
+}
+
+// Single-cell summary for the Synced sheet
+function summariseDiff(diff) {
+  const applied = (diff || []).filter(d => d.applied);
+  if (applied.length === 0) return 'no changes';
+  return applied.map(d => `${d.field}: ${d.from} → ${d.to}`).join('; ');
+}
+
+module.exports = {
+  POLICIES,
+  DEFAULT_POLICY,
+  fieldPolicies,
+  describeValue,
+  diffVendor,
+  formatDiff,
+  summariseDiff
+};
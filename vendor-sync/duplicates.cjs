@@ -0,0 +1,182 @@
+'use strict';
+
+const { normaliseLookupKey, similarity } = require('./resolver.cjs');
+const { EINV_FIELD_IDS } = require('./mapper.cjs');
+
+// What a new vendor with a strong duplicate candidate gets:
+//   block  not created; the row goes to the Errors tab with the candidates
+//   flag   created, and the candidates are reported for review
+//   off    no check
+const DUPLICATE_MODES = ['block', 'flag', 'off'];
+const DEFAULT_DUPLICATE_MODE = 'block';
+
+// Candidates scoring at least this are strong matches (VENDOR_DUPLICATE_THRESHOLD overrides)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.9;
+// Weaker candidates down to this are still reported for review, never blocked
+const REVIEW_FLOOR = 0.75;
+
+// Sheet column that lets a reviewed row through when it was blocked as a duplicate
+const ALLOW_DUPLICATE_COLUMN = 'Allow_Duplicate';
+
+// Evidence weights; several pieces of evidence combine as 1 - (1-a)(1-b)...
+const WEIGHTS = {
+  tin: 1,
+  identificationCode: 0.95,
+  exactName: 0.9,
+  similarName: 0.85
+};
+const NAME_SIMILARITY_FLOOR = 0.85;
+
+// Legal-form words that do not tell two companies apart
+const LEGAL_WORDS = new Set([
+  'SDN', 'BHD', 'BERHAD', 'SENDIRIAN', 'PLT', 'LLP', 'PTE', 'LTD', 'LIMITED', 'INC', 'INCORPORATED',
+  'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LLC', 'GMBH', 'M'
+]);
+
+// "ABC Trading Sdn. Bhd. (M)" -> "ABC TRADING"
+function normaliseCompanyName(name) {
+  return normaliseLookupKey(name).split(' ').filter(word => word && !LEGAL_WORDS.has(word)).join(' ');
+}
+
+function compactId(value) {
+  return String(value === undefined || value === null ? '' : value).toUpperCase().replace(/[\s-]/g, '');
+}
+
+// General TINs (EI000...) and NA are shared by many vendors and prove nothing
+function isDistinctiveId(value) {
+  const id = compactId(value);
+  return id.length >= 5 && id !== 'NA' && !/^EI0{9}[1-4]0$/.test(id);
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function resolveDuplicateMode(value, env = process.env) {
+  const mode = String(value || env.VENDOR_DUPLICATE_MODE || DEFAULT_DUPLICATE_MODE).trim().toLowerCase();
+  if (!DUPLICATE_MODES.includes(mode)) {
+    throw new Error(`Duplicate mode must be one of ${DUPLICATE_MODES.join(', ')}, got "${value || env.VENDOR_DUPLICATE_MODE}"`);
+  }
+  return mode;
+}
+
+function resolveDuplicateThreshold(value, env = process.env) {
+  const raw = value !== undefined && value !== null && value !== '' ? value : env.VENDOR_DUPLICATE_THRESHOLD;
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_DUPLICATE_THRESHOLD;
+  const threshold = Number(raw);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error(`Duplicate threshold must be a number between 0 and 1, got "${raw}"`);
+  }
+  return threshold;
+}
+
+// SuiteQL selecting vendors that share the TIN or identification code, or whose
+// name contains the longest distinctive word of the new vendor's name
+function buildCandidateQuery(identity) {
+  const conditions = [];
+  const compactColumn = column => `UPPER(REPLACE(REPLACE(${column}, ' ', ''), '-', ''))`;
+  if (identity.tin) conditions.push(`${compactColumn(EINV_FIELD_IDS.tin)} = ${sqlString(identity.tin)}`);
+  if (identity.identificationCode) {
+    conditions.push(`${compactColumn(EINV_FIELD_IDS.identificationCode)} = ${sqlString(identity.identificationCode)}`);
+  }
+  const word = identity.names
+    .flatMap(name => name.split(' '))
+    .filter(w => w.length >= 3)
+    .sort((a, b) => b.length - a.length)[0];
+  if (word) {
+    const like = sqlString(`%${word}%`);
+    conditions.push(`UPPER(companyname) LIKE ${like}`);
+    conditions.push(`UPPER(${EINV_FIELD_IDS.registeredName}) LIKE ${like}`);
+  }
+  if (conditions.length === 0) return null;
+  return `SELECT id, entityid, companyname, isinactive, ${EINV_FIELD_IDS.tin}, ${EINV_FIELD_IDS.identificationCode}, ${EINV_FIELD_IDS.registeredName} ` +
+    `FROM vendor WHERE ${conditions.join(' OR ')}`;
+}
+
+// The fields of a mapped vendor payload the check compares
+function vendorIdentity(payload) {
+  const tin = compactId(payload[EINV_FIELD_IDS.tin]);
+  const identificationCode = compactId(payload[EINV_FIELD_IDS.identificationCode]);
+  const names = [payload.companyName, payload[EINV_FIELD_IDS.registeredName], payload.legalName]
+    .map(normaliseCompanyName)
+    .filter(Boolean);
+  return {
+    entityId: String(payload.entityId || '').trim().toUpperCase(),
+    tin: isDistinctiveId(tin) ? tin : '',
+    // An ID number typed in as the TIN counts once; without an ID number the TIN alone matches
+    identificationCode: isDistinctiveId(identificationCode) && identificationCode !== tin ? identificationCode : '',
+    names: [...new Set(names)]
+  };
+}
+
+// Score one SuiteQL row against the new vendor. Returns null when nothing matches.
+function scoreCandidate(identity, row) {
+  const reasons = [];
+  const scores = [];
+  const rowTin = compactId(row[EINV_FIELD_IDS.tin]);
+  const rowId = compactId(row[EINV_FIELD_IDS.identificationCode]);
+  if (identity.tin && rowTin === identity.tin) {
+    reasons.push(`same TIN ${identity.tin}`);
+    scores.push(WEIGHTS.tin);
+  }
+  if (identity.identificationCode && (rowId === identity.identificationCode || rowTin === identity.identificationCode)) {
+    reasons.push(`same identification code ${identity.identificationCode}`);
+    scores.push(WEIGHTS.identificationCode);
+  }
+  const rowNames = [row.companyname, row[EINV_FIELD_IDS.registeredName]].map(normaliseCompanyName).filter(Boolean);
+  let bestName = 0;
+  for (const name of identity.names) {
+    for (const rowName of rowNames) bestName = Math.max(bestName, name === rowName ? 1 : similarity(name, rowName));
+  }
+  if (bestName === 1) {
+    reasons.push('same name');
+    scores.push(WEIGHTS.exactName);
+  } else if (bestName >= NAME_SIMILARITY_FLOOR) {
+    reasons.push(`similar name (${bestName.toFixed(2)})`);
+    scores.push(WEIGHTS.similarName * bestName);
+  }
+  if (scores.length === 0) return null;
+  const score = 1 - scores.reduce((rest, s) => rest * (1 - s), 1);
+  return {
+    id: String(row.id),
+    entityId: row.entityid || '',
+    companyName: row.companyname || row[EINV_FIELD_IDS.registeredName] || '',
+    inactive: row.isinactive === 'T' || row.isinactive === true,
+    score: Math.round(score * 1000) / 1000,
+    reasons
+  };
+}
+
+// Look for existing vendors a new vendor may duplicate. `runQuery(sql)` returns
+// SuiteQL rows. Returns candidates scoring at least REVIEW_FLOOR, best first;
+// vendors with the same entityId are left out (those are updated, not created).
+async function findDuplicateVendors(runQuery, payload) {
+  const identity = vendorIdentity(payload);
+  const query = buildCandidateQuery(identity);
+  if (!query) return [];
+  const rows = await runQuery(query);
+  return rows
+    .filter(row => String(row.entityid || '').trim().toUpperCase() !== identity.entityId || !identity.entityId)
+    .map(row => scoreCandidate(identity, row))
+    .filter(candidate => candidate && candidate.score >= REVIEW_FLOOR)
+    .sort((a, b) => b.score - a.score);
+}
+
+// "#55 ABC TRADING (V001, same TIN C123, score 1.00)"
+function describeCandidate(candidate) {
+  const code = candidate.entityId ? `${candidate.entityId}, ` : '';
+  const inactive = candidate.inactive ? ', inactive' : '';
+  return `#${candidate.id} ${candidate.companyName} (${code}${candidate.reasons.join(', ')}${inactive}, score ${candidate.score.toFixed(2)})`;
+}
+
+module.exports = {
+  DUPLICATE_MODES,
+  DEFAULT_DUPLICATE_MODE,
+  DEFAULT_DUPLICATE_THRESHOLD,
+  ALLOW_DUPLICATE_COLUMN,
+  normaliseCompanyName,
+  resolveDuplicateMode,
+  resolveDuplicateThreshold,
+  findDuplicateVendors,
+  describeCandidate
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+// Format checks for the Malaysian e-invoice (LHDN MyInvois) supplier fields.
+// A vendor that fails one of these would be rejected when an e-invoice is
+// submitted for it, so such rows are stopped before they reach NetSuite.
+
+// NetSuite refNames of the (EInv)Identification Type list
+const ID_TYPES = {
+  BRN: 'BRN : Business Registration No.',
+  NRIC: 'NRIC',
+  PASSPORT: 'PASSPORT',
+  ARMY: 'ARMY'
+};
+
+// IG = individual; the rest are the LHDN non-individual file types
+// (company, co-operative, partnership, employer, association, LLP, trusts, estates, Labuan entities, ...)
+const INDIVIDUAL_TIN = /^IG\d{9,11}$/;
+const NON_INDIVIDUAL_TIN = /^(C|CS|D|E|F|FA|PT|TA|TC|TN|TR|TP|TJ|LE)\d{8,11}$/;
+// EI00000000010 general public, ...020 foreign buyer, ...030 foreign supplier, ...040 government
+const GENERAL_TIN = /^EI0{9}[1-4]0$/;
+
+const BRN_ENTITY_TYPES = ['01', '02', '03', '04', '05', '06'];
+const OLD_BRN = /^\d{1,7}-?[A-Z]$/;
+const PASSPORT = /^[A-Z][A-Z0-9]{5,14}$/;
+const ARMY = /^[A-Z]{0,2}\d{5,10}$/;
+const SST = /^[A-Z]\d{2}-\d{4}-\d{8}$/;
+
+function compact(value) {
+  return String(value || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function checkTin(value) {
+  const tin = compact(value);
+  if (!tin) return 'TIN is empty';
+  if (INDIVIDUAL_TIN.test(tin) || NON_INDIVIDUAL_TIN.test(tin) || GENERAL_TIN.test(tin)) return null;
+  return `TIN "${value}" is not a valid LHDN TIN (IG/C/CS/D/E/F/FA/PT/TA/TC/TN/TR/TP/TJ/LE followed by digits, or EI00000000010-40)`;
+}
+
+function isIndividualTin(value) {
+  return INDIVIDUAL_TIN.test(compact(value));
+}
+
+function isNewBrn(value) {
+  const brn = compact(value);
+  if (!/^\d{12}$/.test(brn)) return false;
+  const year = Number(brn.slice(0, 4));
+  return year >= 1900 && year <= new Date().getFullYear() && BRN_ENTITY_TYPES.includes(brn.slice(4, 6));
+}
+
+// YYMMDD-PB-###G with a real birth date and a non-zero place-of-birth code
+function isNric(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{6}-?\d{2}-?\d{4}$/.test(text)) return false;
+  const nric = text.replace(/-/g, '');
+  const month = Number(nric.slice(2, 4));
+  const day = Number(nric.slice(4, 6));
+  if (month < 1 || month > 12 || day < 1) return false;
+  // Year 2000 is a leap year, so it allows 29 February for any YY
+  const daysInMonth = new Date(2000, month, 0).getDate();
+  return day <= daysInMonth && nric.slice(6, 8) !== '00';
+}
+
+// Check an identification number against its ID type ("BRN", "NRIC", ...)
+function checkIdentification(type, value) {
+  const id = compact(value);
+  if (!id) return { error: 'Identification code is empty' };
+  switch (type) {
+    case 'BRN':
+      if (isNewBrn(id)) return {};
+      if (OLD_BRN.test(id)) return { warning: `BRN "${value}" is in the old format; LHDN expects the 12-digit registration number` };
+      return { error: `BRN "${value}" is not a 12-digit registration number (YYYY + entity type + 6 digits)` };
+    case 'NRIC':
+      return isNric(value) ? {} : { error: `NRIC "${value}" is not a valid 12-digit MyKad number (YYMMDD-PB-####)` };
+    case 'PASSPORT':
+      return PASSPORT.test(id) ? {} : { error: `Passport number "${value}" should be 6-15 letters and digits starting with a letter` };
+    case 'ARMY':
+      return ARMY.test(id) ? {} : { error: `Army number "${value}" should be up to two letters followed by 5-10 digits` };
+    default:
+      return { error: `Identification type "${type}" is not one of ${Object.keys(ID_TYPES).join(', ')}` };
+  }
+}
+
+// Guess the ID type from the identification number. A 12-digit value can be
+// both a BRN and an NRIC; the TIN decides then (IG = individual). Army numbers
+// cannot be told apart from other ids and are never inferred.
+function inferIdType(idValue, tinValue) {
+  const id = compact(idValue);
+  if (!id) return null;
+  const brn = isNewBrn(id);
+  const nric = isNric(idValue);
+  if (brn && nric) return isIndividualTin(tinValue) ? 'NRIC' : 'BRN';
+  if (brn) return 'BRN';
+  if (nric) return 'NRIC';
+  if (OLD_BRN.test(id)) return 'BRN';
+  if (INDIVIDUAL_TIN.test(id) || NON_INDIVIDUAL_TIN.test(id)) return null; // A TIN, not an ID
+  if (PASSPORT.test(id)) return 'PASSPORT';
+  return null;
+}
+
+// "BRN : Business Registration No." -> "BRN"
+function idTypeCode(refName) {
+  return String(refName || '').split(' : ')[0].trim().toUpperCase();
+}
+
+// Up to two SST numbers separated by ";", or NA when not registered
+function checkSst(value) {
+  const text = String(value || '').trim().toUpperCase();
+  if (!text || text === 'NA') return null;
+  const numbers = text.split(';').map(s => s.trim()).filter(Boolean);
+  if (numbers.length > 2) return `SST registration "${value}" lists more than two numbers`;
+  const bad = numbers.find(n => !SST.test(n));
+  return bad ? `SST registration "${bad}" does not match the A12-3456-78901234 format` : null;
+}
+
+// MSIC must be 5 digits and, unless it is 00000, a code from the MSIC lookup
+function checkMsic(ref, msicLookup) {
+  const refName = ref && (ref.refName || '');
+  const code = String(refName).split(' : ')[0].trim();
+  if (!/^\d{5}$/.test(code)) return { error: `MSIC code "${refName}" is not a 5-digit code` };
+  if (code === '00000' || (ref && ref.id)) return {};
+  if (!msicLookup || Object.keys(msicLookup).length === 0) {
+    return { warning: `MSIC lookup is empty; could not check that ${code} exists` };
+  }
+  const entry = msicLookup[code] || msicLookup[String(refName).toUpperCase()];
+  return entry && entry.id ? {} : { error: `MSIC code ${code} is not in the MSIC code list` };
+}
+
+// Check the e-invoice fields of a mapped vendor payload.
+// `fieldIds` are the NetSuite field ids (EINV_FIELD_IDS plus tin / sst).
+// Returns [{ level, field, message }].
+function validateEInvoiceFields(vendor, fieldIds, lookups = {}) {
+  const issues = [];
+  const add = (level, field, message) => issues.push({ level, field, message });
+
+  const tinError = checkTin(vendor[fieldIds.tin]);
+  if (tinError) add('error', fieldIds.tin, tinError);
+
+  const idValue = vendor[fieldIds.identificationCode];
+  const idType = idTypeCode(vendor[fieldIds.identificationType] && vendor[fieldIds.identificationType].refName);
+  if (!compact(idValue)) {
+    add('error', fieldIds.identificationCode, 'Identification_Code is required for Malaysian vendors');
+  } else if (compact(idValue) === compact(vendor[fieldIds.tin])) {
+    add('error', fieldIds.identificationCode, `Identification code "${idValue}" is the TIN; it should be the ${idType || 'BRN/NRIC'} number`);
+  } else {
+    const idCheck = checkIdentification(idType, idValue);
+    if (idCheck.error) add('error', fieldIds.identificationCode, idCheck.error);
+    if (idCheck.warning) add('warning', fieldIds.identificationCode, idCheck.warning);
+  }
+
+  const sstError = checkSst(vendor[fieldIds.sst]);
+  if (sstError) add('error', fieldIds.sst, sstError);
+
+  const msicCheck = checkMsic(vendor[fieldIds.msicCode], lookups.msicLookup);
+  if (msicCheck.error) add('error', fieldIds.msicCode, msicCheck.error);
+  if (msicCheck.warning) add('warning', fieldIds.msicCode, msicCheck.warning);
+
+  return issues;
+}
+
+module.exports = {
+  ID_TYPES,
+  checkTin,
+  isNewBrn,
+  isNric,
+  checkIdentification,
+  inferIdType,
+  idTypeCode,
+  checkSst,
+  checkMsic,
+  validateEInvoiceFields
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { sleep, backoffMs } = require('./util.cjs');
+
+// Why a request failed, so callers (and the Errors sheet) can tell a bad row
+// from a bad moment:
+//   auth                 401/403, token or role problem
+//   throttled            429, 503 or SSS_REQUEST_LIMIT_EXCEEDED
+//   validation           NetSuite rejected a value (other 4xx)
+//   reference-not-found  a referenced record or list value does not exist
+//   server               other 5xx
+//   network              no usable answer: DNS, connection, TLS or timeout
+const ERROR_KINDS = ['auth', 'throttled', 'validation', 'reference-not-found', 'server', 'network'];
+const RETRYABLE_KINDS = ['throttled', 'server', 'network'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 8000;
+
+// Safe to send twice; POST/PATCH are only retried when the request never left
+// (see CONNECT_ERRORS) or the caller marks them idempotent (e.g. SuiteQL reads)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TRANSIENT_ERRORS = [...CONNECT_ERRORS, 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNABORTED', 'ESOCKETTIMEDOUT'];
+// 429 and 503 are left to the rate limiter in throttle.cjs, which also slows down
+const RETRY_STATUSES = [500, 502, 504];
+
+class RequestError extends Error {
+  constructor(message, { kind, status, code, response } = {}) {
+    super(message);
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.response = response;
+    this.retryable = RETRYABLE_KINDS.includes(kind);
+  }
+}
+
+function errorCodes(data) {
+  const details = data && typeof data === 'object' && Array.isArray(data['o:errorDetails']) ? data['o:errorDetails'] : [];
+  return details.map(d => String(d['o:errorCode'] || ''));
+}
+
+function errorText(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data || '');
+}
+
+// Kind of a NetSuite response (see ERROR_KINDS), or null for a success
+function classifyResponse(res) {
+  if (!res || (res.status >= 200 && res.status < 300)) return null;
+  const codes = errorCodes(res.data);
+  const text = errorText(res.data);
+  if (res.status === 429 || res.status === 503 || /SSS_REQUEST_LIMIT_EXCEEDED|CONCURRENCY_LIMIT_EXCEEDED/.test(text)) return 'throttled';
+  if (res.status === 401 || res.status === 403 || codes.some(c => /INVALID_LOGIN|INSUFFICIENT_PERMISSION|INVALID_TOKEN/.test(c))) return 'auth';
+  if (res.status === 404 || codes.some(c => /INVALID_KEY_OR_REF|NONEXISTENT_ID|INVALID_REF/.test(c)) || /invalid reference|Invalid Field Value .* for the following field/i.test(text)) {
+    return 'reference-not-found';
+  }
+  if (res.status >= 500) return 'server';
+  return 'validation';
+}
+
+// { kind, retryable } for anything a push can throw: RequestErrors, errors
+// carrying a NetSuite response (netSuiteStatus/netSuiteResponse) or an explicit kind
+function classifyError(error) {
+  let kind = error && error.kind;
+  if (!kind && error && error.netSuiteStatus !== undefined) {
+    kind = classifyResponse({ status: error.netSuiteStatus, data: error.netSuiteResponse });
+  }
+  if (!kind && error && TRANSIENT_ERRORS.includes(error.code)) kind = 'network';
+  kind = kind || 'validation';
+  return { kind, retryable: RETRYABLE_KINDS.includes(kind) };
+}
+
+function resolveTimeoutMs(value, env = process.env) {
+  const timeout = Number(value !== undefined ? value : env.HTTP_TIMEOUT_MS);
+  return Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS;
+}
+
+function sendOnce(method, urlString, headers, bodyBuffer, timeoutMs) {
+  const url = new URL(urlString);
+  const options = {
+    method,
+    hostname: url.hostname,
+    path: url.pathname + (url.search || ''),
+    headers: headers || {}
+  };
+  if (url.port) options.port = url.port;
+  return new Promise((resolve, reject) => {
+    // Plain http only for local stand-ins (webhook tests); NetSuite is always https
+    const req = (url.protocol === 'http:' ? http : https).request(options, (res) => {
+      const chunks = [];
+      res.on('data', (d) => chunks.push(d));
+      res.on('error', reject);
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const contentType = res.headers['content-type'] || '';
+        let payload = text;
+        if (contentType.toLowerCase().includes('json')) {
+          try { payload = JSON.parse(text); } catch (_e) {}
+        } else if (text && (text.startsWith('{') || text.startsWith('['))) {
+          try { payload = JSON.parse(text); } catch (_e) {}
+        }
+        resolve({ status: res.statusCode || 0, headers: res.headers, data: payload });
+      });
+    });
+    // Covers connecting, waiting for the answer and idle gaps while it streams in
+    req.setTimeout(timeoutMs, () => {
+      const timeout = new Error(`No response within ${timeoutMs} ms`);
+      timeout.code = 'ETIMEDOUT';
+      req.destroy(timeout);
+    });
+    req.on('error', reject);
+    if (bodyBuffer && bodyBuffer.length) req.write(bodyBuffer);
+    req.end();
+  });
+}
+
+// options:
+//   timeoutMs   per attempt (default HTTP_TIMEOUT_MS or 30 s)
+//   retries     extra attempts for transient failures (default 3)
+//   idempotent  allow retrying a POST/PATCH after it may have reached the server
+//   debug
+// Returns { status, headers, data } for any HTTP answer, including errors; throws
+// a RequestError of kind "network" when no answer came back after the retries.
+async function httpsRequest(method, urlString, headers, bodyBuffer, options = {}) {
+  const timeoutMs = resolveTimeoutMs(options.timeoutMs);
+  const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+  const idempotent = options.idempotent !== undefined ? Boolean(options.idempotent) : IDEMPOTENT_METHODS.includes(method);
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await sendOnce(method, urlString, headers, bodyBuffer, timeoutMs);
+    } catch (error) {
+      const neverSent = CONNECT_ERRORS.includes(error.code);
+      const transient = TRANSIENT_ERRORS.includes(error.code) || /socket hang up/i.test(error.message);
+      if (attempt < retries && transient && (idempotent || neverSent)) {
+        const delay = backoffMs(attempt, RETRY_BASE_MS, RETRY_MAX_MS);
+        if (options.debug) console.error(`[DEBUG] ${method} ${urlString} failed (${error.code || error.message}); retry ${attempt + 1}/${retries} in ${delay} ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw new RequestError(`${method} ${urlString} failed: ${error.message}`, { kind: 'network', code: error.code });
+    }
+    if (attempt < retries && idempotent && RETRY_STATUSES.includes(res.status)) {
+      const delay = backoffMs(attempt, RETRY_BASE_MS, RETRY_MAX_MS);
+      if (options.debug) console.error(`[DEBUG] ${method} ${urlString} answered HTTP ${res.status}; retry ${attempt + 1}/${retries} in ${delay} ms`);
+      await sleep(delay);
+      continue;
+    }
+    return res;
+  }
+}
+
+function sendJson(method, urlString, obj, token, options = {}) {
+  const body = Buffer.from(JSON.stringify(obj));
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': body.length,
+    'Accept': 'application/json'
+  };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (options.debug && obj.addressBook) {
+    console.error(`[DEBUG] ${method} payload addressBook: ${JSON.stringify(obj.addressBook, null, 2)}`);
+  }
+  return httpsRequest(method, urlString, headers, body, options);
+}
+
+function httpsPostJson(urlString, obj, token, options) {
+  return sendJson('POST', urlString, obj, token, options);
+}
+
+function httpsPatchJson(urlString, obj, token, options) {
+  return sendJson('PATCH', urlString, obj, token, options);
+}
+
+module.exports = {
+  ERROR_KINDS,
+  RequestError,
+  classifyResponse,
+  classifyError,
+  httpsRequest,
+  httpsPostJson,
+  httpsPatchJson
+};
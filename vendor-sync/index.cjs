@@ -0,0 +1,54 @@
+'use strict';
+
+// Public surface of the vendor sync library. Requiring this module has no side
+// effects: nothing reads process.argv, touches the network or runs a sync.
+
+const config = require('./config.cjs');
+const http = require('./http.cjs');
+const netsuite = require('./netsuite.cjs');
+const lookups = require('./lookups.cjs');
+const lookupFetcher = require('./lookup-fetcher.cjs');
+const einvoice = require('./einvoice.cjs');
+const addressBook = require('./address-book.cjs');
+const diff = require('./diff.cjs');
+const duplicates = require('./duplicates.cjs');
+const journal = require('./journal.cjs');
+const mapper = require('./mapper.cjs');
+const mapping = require('./mapping.cjs');
+const notify = require('./notify.cjs');
+const resolver = require('./resolver.cjs');
+const runLog = require('./run-log.cjs');
+const sheets = require('./sheets.cjs');
+const smtp = require('./smtp.cjs');
+const sources = require('./sources.cjs');
+const throttle = require('./throttle.cjs');
+const sync = require('./sync.cjs');
+const util = require('./util.cjs');
+const vendorExport = require('./vendor-export.cjs');
+const vendorStatus = require('./vendor-status.cjs');
+
+module.exports = {
+  ...config,
+  ...http,
+  ...netsuite,
+  ...lookups,
+  ...lookupFetcher,
+  ...einvoice,
+  ...addressBook,
+  ...diff,
+  ...duplicates,
+  ...journal,
+  ...mapper,
+  ...mapping,
+  ...notify,
+  ...resolver,
+  ...runLog,
+  ...sheets,
+  ...smtp,
+  ...sources,
+  ...throttle,
+  ...sync,
+  ...util,
+  ...vendorExport,
+  ...vendorStatus
+};
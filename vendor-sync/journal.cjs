@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A run finishes a row in three steps: push it to NetSuite, copy it to the
+// Synced tab, delete it from the source tab. If the process dies in between,
+// the next run would push the row again (and create a second vendor when the
+// Code is blank). The journal is an append-only JSON-lines file that records
+// each step as soon as it is done, keyed by the row's content hash, so a new
+// run can finish the sheet steps of a half-done row without calling NetSuite.
+//
+// Stages, in order:
+//   pushed   the vendor is in NetSuite (vendorId, and what goes to Synced)
+//   copied   the row is on the Synced tab
+//   deleted  the row is gone from the source tab; the entry is complete
+// In status-column mode rows stay on the tab and go from pushed straight to
+//   marked   the sync status is written on the row; the entry is complete
+const STAGES = ['pushed', 'copied', 'deleted', 'marked'];
+const FINAL_STAGES = ['deleted', 'marked'];
+
+// Hash of a row's values, independent of column order and empty cells, so the
+// same row is recognised after other rows were deleted or columns added.
+// Columns in `ignore` (such as the sync's own status columns) do not count.
+function rowHash(rowObj, ignore = []) {
+  const filled = Object.keys(rowObj)
+    .filter(key => !ignore.includes(key))
+    .filter(key => rowObj[key] !== undefined && rowObj[key] !== null && String(rowObj[key]).trim() !== '')
+    .sort()
+    .map(key => [key, String(rowObj[key]).trim()]);
+  return crypto.createHash('sha256').update(JSON.stringify(filled)).digest('hex');
+}
+
+function stageIndex(stage) {
+  return STAGES.indexOf(stage);
+}
+
+// Did the entry reach `stage` (or a later one)? A finished entry reached them all.
+function reached(entry, stage) {
+  if (!entry) return false;
+  return FINAL_STAGES.includes(entry.stage) || stageIndex(entry.stage) >= stageIndex(stage);
+}
+
+function readEntries(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_e) {
+      // A line cut short by a crash; everything before it is intact
+    }
+  }
+  return entries;
+}
+
+// Open (or create) the journal at `file`. `scope` tells rows of different
+// spreadsheets/tabs apart. Finished entries are dropped from the file on open.
+// Returns { file, get(hash), pending(), record(hash, stage, fields) }.
+function openJournal(file, options = {}) {
+  const scope = options.scope || '';
+  const dryRun = Boolean(options.dryRun);
+  const state = new Map();
+  for (const line of readEntries(file)) {
+    const key = `${line.scope || ''}\n${line.hash}`;
+    state.set(key, { ...(state.get(key) || {}), ...line });
+  }
+  for (const [key, entry] of state) {
+    if (FINAL_STAGES.includes(entry.stage)) state.delete(key);
+  }
+
+  if (!dryRun) {
+    // Rewrite with the open entries only, through a temp file so a crash keeps the old one
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, [...state.values()].map(entry => JSON.stringify(entry) + '\n').join(''));
+    fs.renameSync(temp, file);
+  }
+
+  function get(hash) {
+    return state.get(`${scope}\n${hash}`) || null;
+  }
+
+  // Open entries of this scope
+  function pending() {
+    return [...state.values()].filter(entry => (entry.scope || '') === scope);
+  }
+
+  // Record that a row reached `stage`; the line is on disk before this returns
+  function record(hash, stage, fields = {}) {
+    if (!STAGES.includes(stage)) throw new Error(`Unknown journal stage "${stage}"`);
+    const line = { ...fields, scope, hash, stage, at: new Date().toISOString() };
+    const key = `${scope}\n${hash}`;
+    state.set(key, { ...(state.get(key) || {}), ...line });
+    if (dryRun) return;
+    const fd = fs.openSync(file, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(line) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return { file, get, pending, record };
+}
+
+module.exports = {
+  STAGES,
+  rowHash,
+  reached,
+  openJournal
+};
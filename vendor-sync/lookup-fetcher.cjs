@@ -0,0 +1,223 @@
+'use strict';
+
+const { resolvePaths } = require('./config.cjs');
+const { LOOKUP_FILES, writeLookupFile } = require('./lookups.cjs');
+const { formatCountryNameForRefName } = require('./mapper.cjs');
+
+// Record types behind each list. The e-invoicing SuiteApp records can be
+// overridden through the env when an account uses different script ids.
+function resolveRecordTypes(env = process.env) {
+  return {
+    vendorCategory: 'vendorcategory',
+    currency: 'currency',
+    country: 'country',
+    assaCategory: env.ASSA_CATEGORY_RECORD || 'customrecord_cseg_assa_cos',
+    assaNature: env.ASSA_NOB_RECORD || 'customrecord_cseg_assa_nob',
+    einvCountry: env.EINV_COUNTRY_RECORD || 'customrecord__eiv_countrycode',
+    einvState: env.EINV_STATE_RECORD || 'customrecord__eiv_statecode',
+    msic: env.EINV_MSIC_RECORD || 'customrecord__eiv_msic'
+  };
+}
+
+// Split an e-invoicing record name such as "MYS : MALAYSIA" or "10 : Selangor"
+function splitCodeName(name) {
+  const text = String(name || '').trim();
+  const idx = text.indexOf(' : ');
+  if (idx === -1) {
+    return { code: text, description: '' };
+  }
+  return { code: text.slice(0, idx).trim(), description: text.slice(idx + 3).trim() };
+}
+
+function upperKey(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+// Add `entry` under every non-empty upper-cased key, keeping the first entry on collisions
+function addKeys(table, keys, entry) {
+  for (const key of keys) {
+    const k = upperKey(key);
+    if (k && !(k in table)) {
+      table[k] = entry;
+    }
+  }
+}
+
+function byName(rows) {
+  const table = {};
+  for (const row of rows) {
+    addKeys(table, [row.name], { id: String(row.id), refName: row.name });
+  }
+  return table;
+}
+
+// Lists whose value is "CODE : Description": reachable by full name, code and description
+function byCodeName(rows) {
+  const table = {};
+  for (const row of rows) {
+    const { code, description } = splitCodeName(row.name);
+    addKeys(table, [row.name, code, description], { id: String(row.id), refName: row.name });
+  }
+  return table;
+}
+
+// Build the three country files. NetSuite's own country list gives the
+// address-book ids (2-letter ISO codes); the e-invoicing country record gives
+// the ids used by custentity_tin_countrycode and the 3-letter codes.
+function buildCountryTables(netsuiteCountries, einvCountries) {
+  const nsByName = {};
+  for (const country of netsuiteCountries) {
+    nsByName[upperKey(country.name)] = country;
+  }
+
+  const countryCodes = {};
+  const countryCodesLookup = {};
+  const addressBookLookup = {};
+  const unmatched = [];
+
+  for (const country of netsuiteCountries) {
+    addKeys(addressBookLookup, [country.id, country.name], { id: String(country.id), refName: country.name });
+  }
+
+  for (const row of einvCountries) {
+    const { code, description } = splitCodeName(row.name);
+    const nsCountry = nsByName[upperKey(description)] || nsByName[upperKey(formatCountryNameForRefName(description))];
+    const code2 = nsCountry ? String(nsCountry.id) : null;
+    if (!nsCountry) unmatched.push(row.name);
+
+    countryCodes[String(row.id)] = { code, code2, description };
+    addKeys(countryCodesLookup, [code, code2, description], String(row.id));
+    if (nsCountry) {
+      addKeys(addressBookLookup, [code, description], { id: code2, refName: nsCountry.name });
+    }
+  }
+
+  return { countryCodes, countryCodesLookup, addressBookLookup, unmatched };
+}
+
+function buildCurrencyTable(rows) {
+  const table = {};
+  for (const row of rows) {
+    addKeys(table, [row.symbol, row.name], { id: String(row.id), refName: row.name, symbol: row.symbol });
+  }
+  return table;
+}
+
+// Each fetcher pulls one NetSuite list and produces one or more lookup files
+const FETCHERS = {
+  'country-codes': {
+    writes: ['countryCodes', 'countryCodesLookup', 'addressBookLookup'],
+    async fetch(query, types) {
+      const netsuiteCountries = await query(`SELECT id, name FROM ${types.country} ORDER BY name`);
+      const einvCountries = await query(`SELECT id, name FROM ${types.einvCountry} ORDER BY name`);
+      const { unmatched, ...tables } = buildCountryTables(netsuiteCountries, einvCountries);
+      if (unmatched.length > 0) {
+        console.error(`  Warning: ${unmatched.length} e-invoice country code(s) have no NetSuite country: ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ', …' : ''}`);
+      }
+      return tables;
+    }
+  },
+  'vendor-categories': {
+    writes: ['categoriesLookup'],
+    async fetch(query, types) {
+      return { categoriesLookup: byName(await query(`SELECT id, name FROM ${types.vendorCategory} ORDER BY name`)) };
+    }
+  },
+  currencies: {
+    writes: ['currenciesLookup'],
+    async fetch(query, types) {
+      return { currenciesLookup: buildCurrencyTable(await query(`SELECT id, name, symbol FROM ${types.currency} ORDER BY name`)) };
+    }
+  },
+  'assa-categories': {
+    writes: ['assaCategoriesLookup'],
+    async fetch(query, types) {
+      return { assaCategoriesLookup: byName(await query(`SELECT id, name FROM ${types.assaCategory} ORDER BY name`)) };
+    }
+  },
+  'assa-nature': {
+    writes: ['assaNatureLookup'],
+    async fetch(query, types) {
+      return { assaNatureLookup: byName(await query(`SELECT id, name FROM ${types.assaNature} ORDER BY name`)) };
+    }
+  },
+  'msic-codes': {
+    writes: ['msicLookup'],
+    async fetch(query, types) {
+      return { msicLookup: byCodeName(await query(`SELECT id, name FROM ${types.msic} ORDER BY name`)) };
+    }
+  },
+  'state-codes': {
+    writes: ['stateCodesLookup'],
+    async fetch(query, types) {
+      return { stateCodesLookup: byCodeName(await query(`SELECT id, name FROM ${types.einvState} ORDER BY name`)) };
+    }
+  }
+};
+
+// Resolve a fetcher slug ("msic-codes") or lookup name ("msicLookup") to fetcher slugs
+function resolveFetcherNames(target) {
+  if (target === 'all') {
+    return Object.keys(FETCHERS);
+  }
+  if (FETCHERS[target]) {
+    return [target];
+  }
+  const owner = Object.keys(FETCHERS).find(slug => FETCHERS[slug].writes.includes(target));
+  if (owner) {
+    return [owner];
+  }
+  throw new Error(`Unknown lookup "${target}". Names: all, ${Object.keys(FETCHERS).join(', ')}, ${Object.keys(LOOKUP_FILES).join(', ')}`);
+}
+
+// The account id is the first label of the SuiteTalk domain, e.g. "1234567" or "1234567-sb1"
+function accountFromDomain(domain) {
+  return domain ? String(domain).split('.')[0].toUpperCase() : null;
+}
+
+// Fetch lists from NetSuite and write the lookup files.
+// `netsuite` is a client from createNetSuiteClient(); `targets` are fetcher slugs or lookup names.
+async function fetchLookups(netsuite, targets, options = {}) {
+  const lookupDir = options.lookupDir || resolvePaths().lookupDir;
+  const types = { ...resolveRecordTypes(), ...(options.recordTypes || {}) };
+  const slugs = [...new Set([].concat(targets).flatMap(resolveFetcherNames))];
+  const token = await netsuite.getValidAccessToken();
+  const source = {
+    account: accountFromDomain(netsuite.config.domain),
+    domain: netsuite.config.domain,
+    sandbox: Boolean(netsuite.config.sandbox)
+  };
+
+  const results = [];
+  for (const slug of slugs) {
+    const queries = [];
+    const query = (q) => {
+      queries.push(q);
+      return netsuite.runSuiteQL(q, token);
+    };
+    try {
+      console.error(`Fetching ${slug}...`);
+      const tables = await FETCHERS[slug].fetch(query, types);
+      for (const [name, entries] of Object.entries(tables)) {
+        const file = writeLookupFile(name, lookupDir, entries, { ...source, queries });
+        console.error(`  ✓ Wrote ${Object.keys(entries).length} entries to ${file}`);
+        results.push({ slug, name, ok: true, file, count: Object.keys(entries).length });
+      }
+    } catch (error) {
+      console.error(`  ✗ Could not fetch ${slug}: ${error.message}`);
+      for (const name of FETCHERS[slug].writes) {
+        results.push({ slug, name, ok: false, error: error.message });
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  FETCHERS,
+  resolveRecordTypes,
+  resolveFetcherNames,
+  splitCodeName,
+  buildCountryTables,
+  fetchLookups
+};
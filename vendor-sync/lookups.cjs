@@ -0,0 +1,267 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Lookup tables used by the mapper, keyed by the name the mapper expects
+const LOOKUP_FILES = {
+  countryCodesLookup: { file: 'country_codes_lookup.json', label: 'country codes lookup' },
+  countryCodes: { file: 'country_codes.json', label: 'country codes' },
+  addressBookLookup: { file: 'country_codes_addressbook.json', label: 'address book country codes' },
+  categoriesLookup: { file: 'vendor_categories_lookup.json', label: 'vendor categories lookup' },
+  currenciesLookup: { file: 'currencies_lookup.json', label: 'currencies lookup' },
+  assaCategoriesLookup: { file: 'assa_categories_lookup.json', label: 'ASSA categories lookup' },
+  assaNatureLookup: { file: 'assa_nob_lookup.json', label: 'ASSA nature of business lookup' },
+  msicLookup: { file: 'msic_codes_lookup.json', label: 'MSIC codes lookup' },
+  stateCodesLookup: { file: 'state_codes_lookup.json', label: 'state codes lookup' }
+};
+
+// Lookups older than this are refreshed before a sync (LOOKUP_MAX_AGE_HOURS overrides)
+const DEFAULT_LOOKUP_MAX_AGE_HOURS = 24;
+
+class LookupError extends Error {}
+
+// Files written by `lookups fetch` wrap the table as { fetched_at, source, entries };
+// older hand-made files are the bare table.
+function unwrapLookup(parsed) {
+  if (parsed && typeof parsed === 'object' && parsed.fetched_at && parsed.entries && typeof parsed.entries === 'object') {
+    return { entries: parsed.entries, meta: { fetched_at: parsed.fetched_at, source: parsed.source || null } };
+  }
+  return { entries: parsed && typeof parsed === 'object' ? parsed : {}, meta: null };
+}
+
+function lookupPath(name, lookupDir) {
+  return path.join(lookupDir, LOOKUP_FILES[name].file);
+}
+
+// Read a lookup file with its fetch metadata. `meta` is null for unstamped files.
+function readLookupFile(name, lookupDir) {
+  const filePath = lookupPath(name, lookupDir);
+  try {
+    if (fs.existsSync(filePath)) {
+      const { entries, meta } = unwrapLookup(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      return { exists: true, entries, meta };
+    }
+  } catch (error) {
+    console.error(`Warning: Could not load ${LOOKUP_FILES[name].label}: ${error.message}`);
+  }
+  return { exists: false, entries: {}, meta: null };
+}
+
+// Write a lookup table with its fetch stamp. Written to a temp file first so a
+// failed run never leaves a half-written lookup behind.
+function writeLookupFile(name, lookupDir, entries, source) {
+  const filePath = lookupPath(name, lookupDir);
+  const content = {
+    fetched_at: new Date().toISOString(),
+    source,
+    entries
+  };
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(content, null, 2));
+  fs.renameSync(tmpPath, filePath);
+  return filePath;
+}
+
+function loadLookup(name, lookupDir) {
+  return readLookupFile(name, lookupDir).entries;
+}
+
+// Load country codes lookup
+function loadCountryCodesLookup(lookupDir) {
+  return loadLookup('countryCodesLookup', lookupDir);
+}
+
+// Load full country codes data
+function loadCountryCodes(lookupDir) {
+  return loadLookup('countryCodes', lookupDir);
+}
+
+// Load address book country codes lookup (2-letter codes)
+function loadAddressBookCountryCodes(lookupDir) {
+  return loadLookup('addressBookLookup', lookupDir);
+}
+
+// Load vendor categories lookup
+function loadVendorCategoriesLookup(lookupDir) {
+  return loadLookup('categoriesLookup', lookupDir);
+}
+
+// Load currencies lookup
+function loadCurrenciesLookup(lookupDir) {
+  return loadLookup('currenciesLookup', lookupDir);
+}
+
+// Load ASSA (cseg_assa_cos) categories lookup
+function loadAssaCategoriesLookup(lookupDir) {
+  return loadLookup('assaCategoriesLookup', lookupDir);
+}
+
+// Load ASSA nature of business (cseg_assa_nob) lookup
+function loadAssaNatureLookup(lookupDir) {
+  return loadLookup('assaNatureLookup', lookupDir);
+}
+
+// Load MSIC codes lookup
+function loadMsicLookup(lookupDir) {
+  return loadLookup('msicLookup', lookupDir);
+}
+
+// Load state codes lookup
+function loadStateCodesLookup(lookupDir) {
+  return loadLookup('stateCodesLookup', lookupDir);
+}
+
+// Load every lookup table the mapper needs
+function loadLookups(lookupDir) {
+  const lookups = {};
+  for (const name of Object.keys(LOOKUP_FILES)) {
+    lookups[name] = loadLookup(name, lookupDir);
+  }
+  return lookups;
+}
+
+function resolveLookupMaxAgeHours(value, env = process.env) {
+  const raw = value !== undefined && value !== null ? value : env.LOOKUP_MAX_AGE_HOURS;
+  if (raw === undefined || raw === null || raw === '') {
+    return DEFAULT_LOOKUP_MAX_AGE_HOURS;
+  }
+  const hours = Number(raw);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new LookupError(`Invalid lookup max age "${raw}": expected a number of hours`);
+  }
+  return hours;
+}
+
+// Classify one lookup file: ok, missing, empty, unstamped (no fetched_at) or stale
+function lookupStatus(name, lookupDir, maxAgeHours, now = Date.now()) {
+  const { exists, entries, meta } = readLookupFile(name, lookupDir);
+  const status = { name, file: LOOKUP_FILES[name].file, entries: Object.keys(entries).length, fetched_at: meta ? meta.fetched_at : null };
+  if (!exists) {
+    return { ...status, state: 'missing' };
+  }
+  if (status.entries === 0) {
+    return { ...status, state: 'empty' };
+  }
+  const fetchedAt = meta ? Date.parse(meta.fetched_at) : NaN;
+  if (!Number.isFinite(fetchedAt)) {
+    return { ...status, state: 'unstamped' };
+  }
+  const ageHours = (now - fetchedAt) / 3600000;
+  return { ...status, ageHours, state: ageHours > maxAgeHours ? 'stale' : 'ok' };
+}
+
+function checkLookups(lookupDir, maxAgeHours, now = Date.now()) {
+  return Object.keys(LOOKUP_FILES).map(name => lookupStatus(name, lookupDir, maxAgeHours, now));
+}
+
+function describeLookupStatus(status) {
+  switch (status.state) {
+    case 'missing': return `${status.file} is missing`;
+    case 'empty': return `${status.file} has no entries`;
+    case 'unstamped': return `${status.file} has no fetched_at stamp`;
+    case 'stale': return `${status.file} was fetched ${Math.round(status.ageHours)}h ago (${status.fetched_at})`;
+    default: return `${status.file} is up to date`;
+  }
+}
+
+// Print how many entries each lookup has, and warn about empty ones
+function reportLookups(lookups, options = {}) {
+  const debug = Boolean(options.debug);
+  const { countryCodesLookup, addressBookLookup, categoriesLookup, currenciesLookup,
+    assaCategoriesLookup, assaNatureLookup, msicLookup, stateCodesLookup } = lookups;
+
+  const logSampleKey = (label, lookup) => {
+    const sampleKey = Object.keys(lookup)[0];
+    if (sampleKey) {
+      console.error(`[DEBUG] Sample ${label} lookup for "${sampleKey}": ${JSON.stringify(lookup[sampleKey])}`);
+    }
+  };
+
+  if (Object.keys(countryCodesLookup).length === 0) {
+    console.error('Warning: Country codes lookup is empty. Run "npm run fetch-country-codes" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(countryCodesLookup).length} country codes`);
+  }
+  if (Object.keys(addressBookLookup).length === 0) {
+    console.error('Warning: Address book country codes lookup is empty. Run "npm run fetch-country-codes" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(addressBookLookup).length} address book country codes`);
+    if (debug) {
+      console.error(`[DEBUG] Sample addressBookLookup entries:`);
+      console.error(`[DEBUG]   USA=${JSON.stringify(addressBookLookup['USA'])}`);
+      console.error(`[DEBUG]   US=${JSON.stringify(addressBookLookup['US'])}`);
+      console.error(`[DEBUG]   MYS=${JSON.stringify(addressBookLookup['MYS'])}`);
+      console.error(`[DEBUG]   MY=${JSON.stringify(addressBookLookup['MY'])}`);
+    }
+  }
+  if (Object.keys(categoriesLookup).length === 0) {
+    console.error('Warning: Vendor categories lookup is empty. Run "npm run fetch-vendor-categories" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(categoriesLookup).length} vendor category lookup entries`);
+    if (debug) {
+      const sampleCategory = categoriesLookup['TRADE CREDITORS'] || categoriesLookup['Trade Creditors'];
+      console.error(`[DEBUG] Sample category lookup for "Trade Creditors": ${JSON.stringify(sampleCategory)}`);
+    }
+  }
+  if (Object.keys(currenciesLookup).length === 0) {
+    console.error('Warning: Currencies lookup is empty. Run "npm run fetch-currencies" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(currenciesLookup).length} currency lookup entries`);
+    if (debug) {
+      console.error(`[DEBUG] Sample currency lookup for "USD": ${JSON.stringify(currenciesLookup['USD'])}`);
+    }
+  }
+  if (Object.keys(assaCategoriesLookup).length === 0) {
+    console.error('Warning: ASSA categories lookup is empty. Run "npm run fetch-assa-categories" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(assaCategoriesLookup).length} ASSA category lookup entries`);
+    if (debug) {
+      const sampleAssa = assaCategoriesLookup['TRADE CREDITORS'] || assaCategoriesLookup['Trade Creditors'];
+      console.error(`[DEBUG] Sample ASSA lookup for "Trade Creditors": ${JSON.stringify(sampleAssa)}`);
+    }
+  }
+  if (Object.keys(assaNatureLookup).length === 0) {
+    console.error('Warning: ASSA nature of business lookup is empty. Run "npm run fetch-assa-nature" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(assaNatureLookup).length} ASSA nature of business lookup entries`);
+    if (debug) logSampleKey('ASSA NOB', assaNatureLookup);
+  }
+  if (Object.keys(msicLookup).length === 0) {
+    console.error('Warning: MSIC codes lookup is empty. Run "npm run fetch-msic-codes" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(msicLookup).length} MSIC code lookup entries`);
+    if (debug) logSampleKey('MSIC', msicLookup);
+  }
+  if (Object.keys(stateCodesLookup).length === 0) {
+    console.error('Warning: State codes lookup is empty. Run "npm run fetch-state-codes" first.');
+  } else {
+    console.error(`Loaded ${Object.keys(stateCodesLookup).length} state code lookup entries`);
+    if (debug) logSampleKey('state', stateCodesLookup);
+  }
+}
+
+module.exports = {
+  LOOKUP_FILES,
+  DEFAULT_LOOKUP_MAX_AGE_HOURS,
+  LookupError,
+  resolveLookupMaxAgeHours,
+  lookupStatus,
+  checkLookups,
+  describeLookupStatus,
+  lookupPath,
+  readLookupFile,
+  writeLookupFile,
+  loadLookup,
+  loadLookups,
+  loadCountryCodesLookup,
+  loadCountryCodes,
+  loadAddressBookCountryCodes,
+  loadVendorCategoriesLookup,
+  loadCurrenciesLookup,
+  loadAssaCategoriesLookup,
+  loadAssaNatureLookup,
+  loadMsicLookup,
+  loadStateCodesLookup,
+  reportLookups
+};
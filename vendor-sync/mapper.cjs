@@ -0,0 +1,618 @@
+'use strict';
+
+const { ID_TYPES, inferIdType, validateEInvoiceFields } = require('./einvoice.cjs');
+const { createLookupResolver, describeSuggestion } = require('./resolver.cjs');
+
+// E-Invoicing field ID configuration
+// Field IDs found from vendors_dump.txt - these are the actual field IDs in your NetSuite instance
+const EINV_FIELD_IDS = {
+  registeredName: 'custentity_tin_registeredname',      // (EInv)Registered Name
+  msicCode: 'custentity_tin_msic',                     // (EInv)MSIC Code (reference field)
+  addressLine1: 'custentity_tin_addrline1',             // (EInv)Address Line1
+  cityName: 'custentity_tin_cityname',                  // (EInv)City Name
+  countryCode: 'custentity_tin_countrycode',            // (EInv)Country Code (reference field)
+  identificationCode: 'custentity_tin_id',             // (EInv)Identification Code
+  identificationType: 'custentity_tin_idtype',         // (EInv)Identification Type (reference field)
+  stateCode: 'custentity_tin_statecode',               // (EInv)State Code (reference field)
+  tin: 'custentity_tin_no',                            // TIN
+  sst: 'custentity_tin_sstregisterno'                  // SST registration number
+};
+
+// Record a mapping problem when the caller passed an `issues` array in options.
+// level is 'error' (the row should not be pushed) or 'warning' (a default or
+// partial value was used); column is the sheet header the value came from.
+function noteIssue(options, level, field, column, value, message) {
+  if (options && Array.isArray(options.issues)) {
+    options.issues.push({ level, field, column, value: value === undefined ? '' : String(value), message });
+  }
+}
+
+let builtInResolver = null;
+
+// options.resolver (from createLookupResolver) or one using only the built-in aliases
+function lookupResolver(options) {
+  if (options && options.resolver) return options.resolver;
+  if (!builtInResolver) builtInResolver = createLookupResolver();
+  return builtInResolver;
+}
+
+// Try the shared resolver (normalised, alias and fuzzy matches) for a value the
+// exact lookups missed. Returns the table value, or null after noting why not.
+function resolveLoosely(options, lookupName, table, value, issue) {
+  const { match, suggestion } = lookupResolver(options).resolve(lookupName, table, value);
+  if (match) {
+    if (match.method === 'fuzzy') {
+      noteIssue(options, 'warning', issue.field, issue.column, value, `${issue.label} "${value}" matched "${match.key}" (score ${match.score.toFixed(2)}); add an alias if this is right`);
+    }
+    if (options && options.debug) console.error(`[DEBUG] ${issue.label} "${value}" -> "${match.key}" (${match.method})`);
+    return match.value;
+  }
+  if (suggestion) {
+    noteIssue(options, 'error', issue.field, issue.column, value, `${issue.label} "${value}" has no confident match (${describeSuggestion(suggestion)}); fix the value or add an alias`);
+    issue.reported = true;
+  }
+  return null;
+}
+
+function getRowValue(row, ...keys) {
+  for (const key of keys) {
+    if (!key) continue;
+    const value = row[key];
+    if (value !== undefined && value !== null) {
+      const str = String(value).trim();
+      if (str) {
+        return str;
+      }
+    }
+  }
+  return '';
+}
+
+// Capitalize vendor name (ALL WORDS UPPERCASE)
+function capitalizeVendorName(name) {
+  if (!name || !name.trim()) return name;
+  return name.toUpperCase().trim();
+}
+
+// Get address book country object with id and refName
+// `where` names the field and column problems are reported against
+function getAddressBookCountry(countryValue, addressBookLookup, countryCodes, options = {}, where = {}) {
+  const { field = 'addressBook.country', column = 'Country' } = where;
+  const debug = Boolean(options.debug);
+  if (debug) {
+    console.error(`[DEBUG] getAddressBookCountry called with: "${countryValue}"`);
+    console.error(`[DEBUG] addressBookLookup has ${Object.keys(addressBookLookup).length} entries`);
+  }
+
+  if (!countryValue || !countryValue.trim()) {
+    if (debug) console.error(`[DEBUG] Country value is empty, defaulting to Malaysia`);
+    noteIssue(options, 'warning', field, column, countryValue, 'Country is empty; defaulted to Malaysia');
+    return { id: 'MY', refName: 'Malaysia' };
+  }
+
+  const value = String(countryValue).trim().toUpperCase();
+  if (debug) console.error(`[DEBUG] Normalized country value: "${value}"`);
+
+  // Try direct lookup (works for both 2-letter and 3-letter codes)
+  if (addressBookLookup[value]) {
+    const result = addressBookLookup[value];
+    if (debug) console.error(`[DEBUG] Found in addressBookLookup: "${value}" -> ${JSON.stringify(result)}`);
+    return result;
+  } else {
+    if (debug) console.error(`[DEBUG] Not found in addressBookLookup for "${value}"`);
+  }
+
+  // Try to find by description in country codes
+  for (const [id, country] of Object.entries(countryCodes)) {
+    if (country.description && country.description.toUpperCase() === value) {
+      const refName = formatCountryNameForRefName(country.description);
+      const result = { id: country.code2 || 'MY', refName: refName || 'Malaysia' };
+      if (debug) console.error(`[DEBUG] Found by description: "${value}" -> ${JSON.stringify(result)} (from country ${id})`);
+      return result;
+    }
+    // Also check if value matches 3-letter code
+    if (country.code && country.code.toUpperCase() === value) {
+      const refName = formatCountryNameForRefName(country.description);
+      const result = { id: country.code2 || 'MY', refName: refName || 'Malaysia' };
+      if (debug) console.error(`[DEBUG] Found by 3-letter code: "${value}" -> ${JSON.stringify(result)} (from country ${id})`);
+      return result;
+    }
+    // Check if value matches 2-letter code
+    if (country.code2 && country.code2.toUpperCase() === value) {
+      const refName = formatCountryNameForRefName(country.description);
+      const result = { id: country.code2, refName: refName || 'Malaysia' };
+      if (debug) console.error(`[DEBUG] Found by 2-letter code: "${value}" -> ${JSON.stringify(result)} (from country ${id})`);
+      return result;
+    }
+  }
+
+  const issue = { field, column, label: 'Country' };
+  const loose = resolveLoosely(options, 'addressBookLookup', addressBookLookup, countryValue, issue);
+  if (loose) {
+    return loose;
+  }
+
+  // Default to Malaysia if not found
+  if (debug) console.error(`[DEBUG] No match found, defaulting to Malaysia`);
+  if (!issue.reported) {
+    noteIssue(options, 'error', field, column, countryValue, `Country "${countryValue}" not found in the country lookups; would default to Malaysia`);
+  }
+  return { id: 'MY', refName: 'Malaysia' };
+}
+
+// Format country name for NetSuite refName (convert to proper case)
+function formatCountryNameForRefName(description) {
+  if (!description) return '';
+
+  // Common mappings for NetSuite refName format
+  const nameMappings = {
+    'UNITED STATES OF AMERICA': 'United States',
+    'UNITED STATES': 'United States',
+    'MALAYSIA': 'Malaysia',
+    'UNITED KINGDOM': 'United Kingdom',
+    'PEOPLE\'S REPUBLIC OF CHINA': 'China',
+    'RUSSIAN FEDERATION': 'Russia',
+    'REPUBLIC OF KOREA': 'South Korea',
+    'DEMOCRATIC PEOPLE\'S REPUBLIC OF KOREA': 'North Korea'
+  };
+
+  const upperDesc = description.toUpperCase();
+  if (nameMappings[upperDesc]) {
+    return nameMappings[upperDesc];
+  }
+
+  // Default: convert to title case
+  return description.toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Get country code ID from country value (code or name)
+function getCountryCodeId(countryValue, countryCodesLookup, countryCodes, options = {}) {
+  if (!countryValue || !countryValue.trim()) {
+    return '158'; // Default to Malaysia (MYS)
+  }
+
+  const value = String(countryValue).trim().toUpperCase();
+
+  // Try direct code lookup (e.g., "MYS", "USA")
+  if (countryCodesLookup[value]) {
+    return countryCodesLookup[value];
+  }
+
+  // Try to find by description (case-insensitive)
+  for (const [id, country] of Object.entries(countryCodes)) {
+    if (country.description && country.description.toUpperCase() === value) {
+      return id;
+    }
+    // Also check if value matches code
+    if (country.code && country.code.toUpperCase() === value) {
+      return id;
+    }
+  }
+
+  const issue = { field: 'custentity_tin_countrycode', column: 'Country', label: 'E-invoice country' };
+  const loose = resolveLoosely(options, 'countryCodesLookup', countryCodesLookup, countryValue, issue);
+  if (loose) {
+    return loose;
+  }
+
+  // Default to Malaysia if not found
+  if (!issue.reported) {
+    noteIssue(options, 'error', 'custentity_tin_countrycode', 'Country', countryValue, `Country "${countryValue}" has no e-invoice country code; would default to MYS`);
+  }
+  return '158';
+}
+
+// Value transforms a mapping field can list under "transforms", applied in order
+const TRANSFORMS = {
+  trim: value => String(value).trim(),
+  uppercase: value => String(value).toUpperCase(),
+  lowercase: value => String(value).toLowerCase(),
+  vendorName: value => capitalizeVendorName(String(value)),
+  boolean: value => {
+    const text = String(value).trim().toLowerCase();
+    return text === 'yes' || text === 'true' || text === '1' || text === 'y';
+  },
+  not: value => !value
+};
+
+// Fields whose value needs more than a table lookup. Each gets the raw cell
+// value, the per-row context and the field spec and returns the finished NetSuite value.
+const RESOLVERS = {
+  // The vendor country resolved once per row from mapping.country
+  vendorCountry: (_value, ctx) => ctx.country,
+  // Country of an extra address: its own column when filled, else the vendor country
+  addressCountry: (value, ctx, spec) => {
+    const text = String(value || '').trim();
+    if (!text) return ctx.country;
+    const where = { field: spec.issueField || 'addressBook.country', column: ctx.sources[spec.issueField] || (spec.columns || [])[0] };
+    return getAddressBookCountry(text, ctx.lookups.addressBookLookup || {}, ctx.lookups.countryCodes || {}, ctx.options, where);
+  },
+  // E-invoicing country record id for the vendor country
+  einvCountryCode: (_value, ctx) => ({
+    id: getCountryCodeId(ctx.countryValue, ctx.lookups.countryCodesLookup, ctx.lookups.countryCodes, ctx.options)
+  }),
+  // (EInv)Identification Type: the sheet value when given, otherwise inferred
+  // from the identification code mapped before it, otherwise the default
+  einvIdType: (value, ctx, spec) => {
+    const text = String(value || '').trim();
+    if (text) {
+      const mapped = (spec.values || {})[text.toUpperCase()];
+      return { refName: mapped !== undefined ? mapped : text };
+    }
+    if (!ctx.foreign) {
+      const inferred = inferIdType(ctx.vendor[EINV_FIELD_IDS.identificationCode], ctx.vendor[EINV_FIELD_IDS.tin]);
+      if (inferred) {
+        if (ctx.debug) console.error(`[DEBUG] Identification type inferred as ${inferred}`);
+        return { refName: ID_TYPES[inferred] };
+      }
+      if (spec.warnOnDefault) {
+        noteIssue(ctx.options, 'warning', EINV_FIELD_IDS.identificationType, (spec.columns || [])[0], '',
+          `${spec.label || 'Identification type'} could not be inferred from the identification code; defaulted to ${spec.default}`);
+      }
+    }
+    return spec.default === undefined ? undefined : { refName: spec.default };
+  }
+};
+
+// Used for foreign vendors when no rule in mapping.foreignRules matches
+const DEFAULT_FOREIGN_RULE = {
+  name: 'foreign-supplier',
+  description: 'Foreign supplier (LHDN general TIN EI00000000030)',
+  generalTin: 'EI00000000030',
+  keep: []
+};
+
+// Does a foreignRules "when" block match this row? `countries` lists address-book
+// country ids (omit for any foreign country); `columns` maps a header to
+// "present" or to a list of accepted values (case-insensitive).
+function foreignRuleMatches(when, row, country) {
+  if (Array.isArray(when.countries) && !when.countries.map(c => String(c).toUpperCase()).includes(country.id)) {
+    return false;
+  }
+  for (const [column, expected] of Object.entries(when.columns || {})) {
+    const value = String(row[column] === undefined || row[column] === null ? '' : row[column]).trim();
+    if (expected === 'present') {
+      if (!value) return false;
+    } else if (!(Array.isArray(expected) ? expected : [expected]).map(e => String(e).toUpperCase()).includes(value.toUpperCase())) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// First matching rule of mapping.foreignRules, else DEFAULT_FOREIGN_RULE
+function selectForeignRule(mapping, row, country) {
+  const rule = (mapping.foreignRules || []).find(r => foreignRuleMatches(r.when || {}, row, country));
+  return rule ? { keep: [], generalTin: DEFAULT_FOREIGN_RULE.generalTin, ...rule } : DEFAULT_FOREIGN_RULE;
+}
+
+function loadDefaultMapping() {
+  return require('./mappings/default.json');
+}
+
+// First listed column that holds a non-empty value
+function findSourceValue(row, columns) {
+  for (const column of columns || []) {
+    const value = row[column];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return { column, value };
+    }
+  }
+  return null;
+}
+
+function wrapValue(spec, value) {
+  if (spec.type === 'ref') {
+    return typeof value === 'object' && value !== null ? value : { refName: value };
+  }
+  if (spec.type === 'refId') {
+    return typeof value === 'object' && value !== null ? value : { id: value };
+  }
+  return value;
+}
+
+// Map one field spec against a row. Returns undefined when the field should be left out.
+function mapField(name, spec, row, ctx) {
+  const { options, debug } = ctx;
+  const label = spec.label || name;
+  const columns = spec.columns || [];
+
+  // Foreign vendors get the rule's general TIN or the field's fixed value, unless
+  // the rule keeps this field and the sheet has a value for it
+  if (ctx.foreign && (spec.foreign !== undefined || spec.generalTin)) {
+    const kept = ctx.rule.keep.includes(name) && findSourceValue(row, columns);
+    if (!kept) {
+      const value = spec.generalTin ? ctx.rule.generalTin : spec.foreign;
+      if (debug) console.error(`[DEBUG] ${name}: foreign vendor rule "${ctx.rule.name}", using ${JSON.stringify(value)}`);
+      return wrapValue(spec, value);
+    }
+    if (debug) console.error(`[DEBUG] ${name}: foreign vendor rule "${ctx.rule.name}" keeps the sheet value`);
+  }
+
+  let source = findSourceValue(row, columns);
+  if (!source && spec.whenColumnPresent) {
+    const column = columns.find(c => row[c] !== undefined);
+    if (column) source = { column, value: row[column] === null ? '' : row[column] };
+  }
+
+  if (source) {
+    ctx.sources[name] = source.column;
+  }
+
+  if (spec.resolver) {
+    return RESOLVERS[spec.resolver](source ? source.value : '', ctx, spec);
+  }
+
+  const useDefault = () => {
+    if (spec.default === undefined) return undefined;
+    if (spec.warnOnDefault && !ctx.foreign) {
+      noteIssue(options, 'warning', name, columns[0], '', `${label} is empty; defaulted to ${spec.default}`);
+    }
+    return wrapValue(spec, spec.default);
+  };
+
+  if (!source) {
+    return useDefault();
+  }
+
+  let value = source.value;
+  for (const transform of spec.transforms || []) {
+    value = TRANSFORMS[transform](value);
+  }
+  if (typeof value === 'string' && value === '' && spec.default !== undefined) {
+    return useDefault();
+  }
+
+  if (spec.values && typeof value === 'string') {
+    const mapped = spec.values[value.toUpperCase()];
+    if (mapped !== undefined) value = mapped;
+  }
+
+  if (spec.lookup) {
+    const table = ctx.lookups[spec.lookup] || {};
+    const issue = { field: name, column: source.column, label };
+    const entry = table[String(value).toUpperCase()] || table[value] || resolveLoosely(options, spec.lookup, table, value, issue);
+    if (entry && entry.id) {
+      const ref = { id: entry.id, refName: entry.refName || value };
+      if (debug) console.error(`[DEBUG] ${name}: "${value}" from ${source.column} -> ${JSON.stringify(ref)}`);
+      return ref;
+    }
+    // "codedRefName" keeps values already in "CODE : Name" form and defaults the rest
+    if (spec.unmatched === 'default' || (spec.unmatched === 'codedRefName' && !String(value).includes(' : '))) {
+      const fallback = spec.default === undefined ? undefined : wrapValue(spec, spec.default);
+      if (fallback !== undefined && !ctx.foreign && !issue.reported) {
+        noteIssue(options, 'warning', name, source.column, value, `${label} "${value}" not found in lookup; defaulted to ${spec.default}`);
+      }
+      if (debug) console.error(`[DEBUG] ${name}: "${value}" not found in ${spec.lookup}, using default ${JSON.stringify(fallback)}`);
+      return fallback;
+    }
+    if (!issue.reported) {
+      noteIssue(options, 'warning', name, source.column, value, `${label} "${value}" not found in lookup; sending name only`);
+    }
+    if (debug) console.error(`[DEBUG] ${name}: "${value}" not found in ${spec.lookup}, using refName`);
+    return wrapValue(spec, value);
+  }
+
+  return wrapValue(spec, value);
+}
+
+// Copy of a field spec map with "{n}" in column names replaced by the group number
+function numberedFields(fields, n) {
+  const expanded = {};
+  for (const [key, spec] of Object.entries(fields || {})) {
+    expanded[key] = { ...spec, columns: (spec.columns || []).map(c => c.replace(/\{n\}/g, String(n))) };
+  }
+  return expanded;
+}
+
+// Numbers of the groups in a "numbered" block that have a value in any of their fields
+function filledGroups(numbered, row) {
+  const groups = [];
+  if (!numbered) return groups;
+  for (let n = numbered.from || 1; n <= (numbered.to || numbered.from || 1); n++) {
+    const fields = numberedFields(numbered.fields, n);
+    if (Object.values(fields).some(spec => findSourceValue(row, spec.columns))) groups.push({ n, fields });
+  }
+  return groups;
+}
+
+function mapAddressBookAddress(name, fields, row, ctx) {
+  const addressBookAddress = {};
+  for (const [key, subSpec] of Object.entries(fields || {})) {
+    const fieldName = `${name}.${key}`;
+    const value = mapField(fieldName, { ...subSpec, issueField: fieldName }, row, ctx);
+    if (value !== undefined) addressBookAddress[key] = value;
+  }
+  return addressBookAddress;
+}
+
+// An "address" field builds the addressBook: the main address from "fields" and
+// one more line per filled "numbered" group (Address2_Line1, Address3_Line1, ...).
+// A group flagged as default billing or shipping takes that flag off the main address.
+function mapAddressField(name, spec, row, ctx) {
+  const items = [{
+    defaultBilling: spec.defaultBilling !== false,
+    defaultShipping: spec.defaultShipping !== false,
+    addressBookAddress: mapAddressBookAddress(name, spec.fields, row, ctx)
+  }];
+  if (spec.lineLabel) {
+    const label = mapField(`${name}.label`, spec.lineLabel, row, ctx);
+    if (label) items[0].label = label;
+  }
+
+  const numbered = spec.numbered;
+  for (const { n, fields } of filledGroups(numbered, row)) {
+    const groupName = `${name}[${n}]`;
+    const flags = numberedFields({ label: numbered.lineLabel, defaultBilling: numbered.defaultBilling, defaultShipping: numbered.defaultShipping }, n);
+    const item = {
+      defaultBilling: Boolean(numbered.defaultBilling && mapField(`${groupName}.defaultBilling`, flags.defaultBilling, row, ctx)),
+      defaultShipping: Boolean(numbered.defaultShipping && mapField(`${groupName}.defaultShipping`, flags.defaultShipping, row, ctx)),
+      addressBookAddress: mapAddressBookAddress(groupName, fields, row, ctx)
+    };
+    const label = numbered.lineLabel ? mapField(`${groupName}.label`, flags.label, row, ctx) : undefined;
+    if (label) item.label = label;
+    for (const flag of ['defaultBilling', 'defaultShipping']) {
+      if (!item[flag]) continue;
+      const claimed = items.slice(1).find(other => other[flag]);
+      if (claimed) {
+        noteIssue(ctx.options, 'warning', `${groupName}.${flag}`, flags[flag].columns[0], 'yes',
+          `Address ${n} is marked ${flag === 'defaultBilling' ? 'default billing' : 'default shipping'} but an earlier address already is; ignored`);
+        item[flag] = false;
+      } else {
+        items[0][flag] = false;
+      }
+    }
+    items.push(item);
+  }
+
+  if (ctx.debug) {
+    console.error(`[DEBUG] Address book payload: ${JSON.stringify(items.length === 1 ? items[0].addressBookAddress : items, null, 2)}`);
+  }
+  return { items };
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function mapContact(name, fields, row, ctx) {
+  const contact = {};
+  for (const [key, spec] of Object.entries(fields || {})) {
+    const value = mapField(`${name}.${key}`, spec, row, ctx);
+    if (value !== undefined && value !== '') contact[key] = value;
+  }
+  if (contact.email && !EMAIL.test(String(contact.email))) {
+    noteIssue(ctx.options, 'warning', `${name}.email`, ctx.sources[`${name}.email`], contact.email, `Contact email "${contact.email}" does not look like an email address; left off the contact`);
+    delete contact.email;
+  }
+  // Contacts need a name; fall back to the email address
+  if (!contact.entityId) contact.entityId = contact.email;
+  return contact.entityId ? contact : null;
+}
+
+// Map the contact column groups of a row (mapping.contacts) to NetSuite contact
+// records, without the company link: the vendor id is only known after the upsert.
+//   "contacts": {
+//     "numbered": { "from": 1, "to": 3, "fields": { "entityId": { "columns": ["Contact{n}_Name"] }, ... } },
+//     "named": [ { "name": "finance", "fields": { "email": { "columns": ["Finance_Contact_Email"] }, ... } } ]
+//   }
+// Contacts with the same email (or name, when there is no email) are only listed once.
+function mapSheetRowToContacts(row, lookups, options = {}) {
+  const mapping = options.mapping || loadDefaultMapping();
+  const section = mapping.contacts;
+  if (!section) return [];
+  const ctx = { options, debug: Boolean(options.debug), lookups, foreign: false, rule: null, vendor: {}, sources: {} };
+
+  const groups = filledGroups(section.numbered, row).map(({ n, fields }) => ({ name: `contacts[${n}]`, fields }));
+  for (const named of section.named || []) {
+    const hasValue = Object.values(named.fields || {}).some(spec => findSourceValue(row, spec.columns));
+    if (hasValue) groups.push({ name: `contacts.${named.name}`, fields: named.fields });
+  }
+
+  const contacts = [];
+  const seen = new Set();
+  for (const group of groups) {
+    const contact = mapContact(group.name, group.fields, row, ctx);
+    if (!contact) continue;
+    const key = String(contact.email || contact.entityId).toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    contacts.push(contact);
+  }
+  if (ctx.debug && contacts.length > 0) {
+    console.error(`[DEBUG] Contacts: ${JSON.stringify(contacts)}`);
+  }
+  return contacts;
+}
+
+// Map Google Sheet row to NetSuite vendor format
+// `lookups` is the object returned by loadLookups(); options.mapping is a
+// column mapping (see mapping.cjs) and defaults to mappings/default.json.
+function mapSheetRowToNetSuiteVendor(row, lookups, options = {}) {
+  const debug = Boolean(options.debug);
+  const mapping = options.mapping || loadDefaultMapping();
+  const homeCountry = mapping.homeCountry || 'MY';
+
+  // The vendor country decides which fields take their "foreign" values
+  const countrySource = findSourceValue(row, (mapping.country && mapping.country.columns) || ['Country']);
+  const countryValue = countrySource ? String(countrySource.value) : '';
+  if (debug) {
+    console.error(`[DEBUG] Country value: "${countryValue}"`);
+  }
+  const country = getAddressBookCountry(countryValue, lookups.addressBookLookup || {}, lookups.countryCodes || {}, options);
+  const ctx = {
+    options,
+    debug,
+    lookups,
+    homeCountry,
+    countryValue,
+    country,
+    foreign: country.id !== homeCountry,
+    rule: null,
+    vendor: {},  // fields mapped so far, for resolvers that depend on earlier fields
+    sources: {}  // field -> sheet column the value came from
+  };
+  if (ctx.foreign) {
+    ctx.rule = selectForeignRule(mapping, row, country);
+  }
+  if (debug) {
+    console.error(`[DEBUG] Resolved country: ${JSON.stringify(country)}${ctx.foreign ? ` (foreign vendor, rule "${ctx.rule.name}")` : ''}`);
+  }
+  // options.details receives the country and the foreign rule that applied, for the sync log
+  if (options.details) {
+    options.details.country = country.id;
+    options.details.rule = ctx.rule ? ctx.rule.name : null;
+    options.details.generalTin = ctx.rule ? ctx.rule.generalTin : null;
+  }
+
+  const vendor = ctx.vendor;
+  for (const [name, spec] of Object.entries(mapping.fields || {})) {
+    const value = spec.type === 'address'
+      ? mapAddressField(name, spec, row, ctx)
+      : mapField(name, spec, row, ctx);
+    if (value !== undefined) {
+      vendor[name] = value;
+    }
+  }
+
+  if (!vendor.entityId && !vendor.legalName) {
+    const idColumns = (mapping.fields && mapping.fields.entityId && mapping.fields.entityId.columns) || ['Code'];
+    noteIssue(options, 'error', 'entityId', idColumns[idColumns.length - 1], '', 'Missing required fields: entityId or legalName');
+  }
+
+  // LHDN checks only apply to local vendors; foreign ones carry the fixed EI000... values
+  if (mapping.einvoiceValidation && !ctx.foreign && Array.isArray(options.issues)) {
+    for (const issue of validateEInvoiceFields(vendor, EINV_FIELD_IDS, lookups)) {
+      if (issue.level === 'error') {
+        // The error supersedes any "sent as name only" warning for the same field
+        for (let i = options.issues.length - 1; i >= 0; i--) {
+          if (options.issues[i].field === issue.field && options.issues[i].level === 'warning') options.issues.splice(i, 1);
+        }
+      }
+      const spec = mapping.fields[issue.field] || {};
+      const column = ctx.sources[issue.field] || (spec.columns || [])[0] || issue.field;
+      const value = vendor[issue.field];
+      noteIssue(options, issue.level, issue.field, column, value && typeof value === 'object' ? value.refName : value, issue.message);
+    }
+  }
+
+  return vendor;
+}
+
+module.exports = {
+  EINV_FIELD_IDS,
+  noteIssue,
+  getRowValue,
+  capitalizeVendorName,
+  getAddressBookCountry,
+  formatCountryNameForRefName,
+  getCountryCodeId,
+  TRANSFORMS,
+  RESOLVERS,
+  DEFAULT_FOREIGN_RULE,
+  selectForeignRule,
+  loadDefaultMapping,
+  mapSheetRowToNetSuiteVendor,
+  mapSheetRowToContacts
+};
@@ -0,0 +1,262 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { LOOKUP_FILES } = require('./lookups.cjs');
+const { TRANSFORMS, RESOLVERS } = require('./mapper.cjs');
+const { POLICIES } = require('./diff.cjs');
+
+// Column mapping files describe how sheet columns become NetSuite vendor fields:
+//
+//   {
+//     "homeCountry": "MY",                       address-book country id of local vendors
+//     "country": { "columns": ["Country"] },     where the vendor country is read from
+//     "einvoiceValidation": true,                run the LHDN checks in einvoice.cjs on local vendors
+//     "defaultPolicy": "sheet-wins",             update policy of fields without their own (see diff.cjs)
+//     "foreignRules": [                          first match wins for vendors outside homeCountry
+//       {
+//         "name": "singapore-gst",               recorded in the sync log
+//         "when": { "countries": ["SG"], "columns": { "SST_Number": "present", "Vendor_Type": ["Government"] } },
+//         "generalTin": "EI00000000030",         LHDN general TIN (EI00000000010/20/30/40)
+//         "keep": ["custentity_tin_id"]          fields whose sheet value is kept instead of the foreign value
+//       }
+//     ],
+//     "fields": {
+//       "<netsuite field>": {
+//         "columns": ["A", "B"],                 first non-empty column wins
+//         "transforms": ["trim", "uppercase"],   see TRANSFORMS in mapper.cjs
+//         "type": "text" | "ref" | "refId" | "address",
+//         "values": { "BRN": "BRN : ..." },      rewrite known values (keys upper-case)
+//         "lookup": "msicLookup",                lookup table giving { id, refName }
+//         "unmatched": "refName" | "default" | "codedRefName",
+//         "default": "...",                      used when every column is empty
+//         "warnOnDefault": true,                 report local vendors that fell back to the default
+//         "foreign": "...",                      fixed value for vendors outside homeCountry
+//         "generalTin": true,                    foreign vendors get the matching rule's general TIN
+//         "whenColumnPresent": true,             map empty cells too, as long as the column exists
+//         "resolver": "vendorCountry",           see RESOLVERS in mapper.cjs
+//         "label": "MSIC code",                  name used in validation messages
+//         "policy": "fill-if-empty"              sheet-wins | netsuite-wins | fill-if-empty on update
+//       },
+//       "addressBook": {                         "type": "address": sub-fields under "fields"
+//         "type": "address",
+//         "fields": { "addr1": {...}, "country": { "resolver": "vendorCountry" } },
+//         "lineLabel": { "columns": ["Address_Label"] },
+//         "numbered": {                          extra address lines, "{n}" in columns is from..to
+//           "from": 2, "to": 4,
+//           "lineLabel": {...}, "defaultBilling": {...}, "defaultShipping": {...},
+//           "fields": { "addr1": { "columns": ["Address{n}_Line1"] }, ... }
+//         }
+//       }
+//     },
+//     "contacts": {                              contact records linked to the vendor
+//       "numbered": { "from": 1, "to": 3, "fields": { "entityId": {...}, "email": {...} } },
+//       "named": [ { "name": "finance", "fields": {...} } ]
+//     }
+//   }
+//
+// mappings/default.json is the layout of the intake sheet and is used when no
+// other mapping is given (VENDOR_MAPPING_FILE or --mapping).
+const DEFAULT_MAPPING_PATH = path.join(__dirname, 'mappings', 'default.json');
+
+const FIELD_TYPES = ['text', 'ref', 'refId', 'address'];
+const UNMATCHED_MODES = ['refName', 'default', 'codedRefName'];
+
+class MappingError extends Error {}
+
+function checkField(name, spec, problems, nested = false) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    problems.push(`${name}: must be an object`);
+    return;
+  }
+  const type = spec.type || 'text';
+  if (!FIELD_TYPES.includes(type) || (nested && type === 'address')) {
+    problems.push(`${name}: unknown type "${type}"`);
+    return;
+  }
+  if (spec.policy !== undefined && (nested || !POLICIES.includes(spec.policy))) {
+    problems.push(nested
+      ? `${name}: "policy" can only be set on top-level fields`
+      : `${name}: "policy" must be one of ${POLICIES.join(', ')}`);
+  }
+  if (type === 'address') {
+    if (!spec.fields || typeof spec.fields !== 'object') {
+      problems.push(`${name}: address fields need a "fields" object`);
+      return;
+    }
+    for (const [key, subSpec] of Object.entries(spec.fields)) {
+      checkField(`${name}.${key}`, subSpec, problems, true);
+    }
+    if (spec.lineLabel !== undefined) checkField(`${name}.lineLabel`, spec.lineLabel, problems, true);
+    if (spec.numbered !== undefined) {
+      checkNumbered(`${name}.numbered`, spec.numbered, problems);
+      for (const key of ['lineLabel', 'defaultBilling', 'defaultShipping']) {
+        if (spec.numbered && spec.numbered[key] !== undefined) checkField(`${name}.numbered.${key}`, spec.numbered[key], problems, true);
+      }
+    }
+    return;
+  }
+  if (spec.columns !== undefined && (!Array.isArray(spec.columns) || spec.columns.some(c => typeof c !== 'string'))) {
+    problems.push(`${name}: "columns" must be a list of header names`);
+  }
+  if (!spec.resolver && (!Array.isArray(spec.columns) || spec.columns.length === 0) && spec.default === undefined && spec.foreign === undefined && !spec.generalTin) {
+    problems.push(`${name}: needs "columns", a "default" or a "foreign" value`);
+  }
+  for (const transform of spec.transforms || []) {
+    if (!TRANSFORMS[transform]) {
+      problems.push(`${name}: unknown transform "${transform}" (known: ${Object.keys(TRANSFORMS).join(', ')})`);
+    }
+  }
+  if (spec.resolver && !RESOLVERS[spec.resolver]) {
+    problems.push(`${name}: unknown resolver "${spec.resolver}" (known: ${Object.keys(RESOLVERS).join(', ')})`);
+  }
+  if (spec.lookup && !LOOKUP_FILES[spec.lookup]) {
+    problems.push(`${name}: unknown lookup "${spec.lookup}" (known: ${Object.keys(LOOKUP_FILES).join(', ')})`);
+  }
+  if (spec.unmatched && !UNMATCHED_MODES.includes(spec.unmatched)) {
+    problems.push(`${name}: "unmatched" must be one of ${UNMATCHED_MODES.join(', ')}`);
+  }
+  if (spec.values !== undefined && (typeof spec.values !== 'object' || Array.isArray(spec.values))) {
+    problems.push(`${name}: "values" must map sheet values to NetSuite values`);
+  }
+}
+
+// A "numbered" block repeats its fields for n = from..to with "{n}" in column names
+function checkNumbered(name, numbered, problems) {
+  if (!numbered || typeof numbered !== 'object' || Array.isArray(numbered)) {
+    problems.push(`${name}: must be an object`);
+    return;
+  }
+  const from = numbered.from === undefined ? 1 : numbered.from;
+  const to = numbered.to === undefined ? from : numbered.to;
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+    problems.push(`${name}: "from" and "to" must be whole numbers with from <= to`);
+  }
+  if (!numbered.fields || typeof numbered.fields !== 'object') {
+    problems.push(`${name}: needs a "fields" object`);
+    return;
+  }
+  for (const [key, spec] of Object.entries(numbered.fields)) {
+    checkField(`${name}.${key}`, spec, problems, true);
+    if (spec && Array.isArray(spec.columns) && !spec.columns.some(c => typeof c === 'string' && c.includes('{n}'))) {
+      problems.push(`${name}.${key}: columns need "{n}" for the group number`);
+    }
+  }
+}
+
+function checkContacts(contacts, problems) {
+  if (!contacts || typeof contacts !== 'object' || Array.isArray(contacts)) {
+    problems.push('contacts: must be an object');
+    return;
+  }
+  if (contacts.numbered !== undefined) checkNumbered('contacts.numbered', contacts.numbered, problems);
+  if (contacts.named !== undefined && !Array.isArray(contacts.named)) {
+    problems.push('contacts.named: must be a list');
+    return;
+  }
+  (contacts.named || []).forEach((named, i) => {
+    if (!named || typeof named !== 'object' || !named.name) {
+      problems.push(`contacts.named[${i}]: needs a "name"`);
+      return;
+    }
+    if (!named.fields || typeof named.fields !== 'object') {
+      problems.push(`contacts.${named.name}: needs a "fields" object`);
+      return;
+    }
+    for (const [key, spec] of Object.entries(named.fields)) {
+      checkField(`contacts.${named.name}.${key}`, spec, problems, true);
+    }
+  });
+}
+
+const GENERAL_TINS = ['EI00000000010', 'EI00000000020', 'EI00000000030', 'EI00000000040'];
+
+function checkForeignRules(rules, fields, problems) {
+  if (!Array.isArray(rules)) {
+    problems.push('foreignRules: must be a list');
+    return;
+  }
+  rules.forEach((rule, i) => {
+    const where = `foreignRules[${i}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object' || !rule.name) {
+      problems.push(`${where}: needs a "name"`);
+      return;
+    }
+    if (rule.generalTin !== undefined && !GENERAL_TINS.includes(rule.generalTin)) {
+      problems.push(`${where}: "generalTin" must be one of ${GENERAL_TINS.join(', ')}`);
+    }
+    for (const field of rule.keep || []) {
+      if (!fields[field]) problems.push(`${where}: keeps unknown field "${field}"`);
+    }
+    const when = rule.when || {};
+    if (when.countries !== undefined && !Array.isArray(when.countries)) {
+      problems.push(`${where}: "when.countries" must be a list of country ids`);
+    }
+    if (when.columns !== undefined && (typeof when.columns !== 'object' || Array.isArray(when.columns))) {
+      problems.push(`${where}: "when.columns" must map headers to "present" or a list of values`);
+    }
+  });
+}
+
+// Return a list of problems with a mapping; empty when it is usable
+function validateMapping(mapping) {
+  const problems = [];
+  if (!mapping || typeof mapping !== 'object' || !mapping.fields || typeof mapping.fields !== 'object') {
+    return ['mapping needs a "fields" object'];
+  }
+  if (mapping.defaultPolicy !== undefined && !POLICIES.includes(mapping.defaultPolicy)) {
+    problems.push(`defaultPolicy: must be one of ${POLICIES.join(', ')}`);
+  }
+  if (mapping.country && !Array.isArray(mapping.country.columns)) {
+    problems.push('country: "columns" must be a list of header names');
+  }
+  for (const [name, spec] of Object.entries(mapping.fields)) {
+    checkField(name, spec, problems);
+  }
+  if (mapping.foreignRules !== undefined) {
+    checkForeignRules(mapping.foreignRules, mapping.fields, problems);
+  }
+  if (mapping.contacts !== undefined) {
+    checkContacts(mapping.contacts, problems);
+  }
+  return problems;
+}
+
+// Read and check a mapping file. Throws MappingError listing every problem.
+function loadMapping(filePath = DEFAULT_MAPPING_PATH) {
+  const resolved = path.resolve(filePath);
+  if (path.extname(resolved).toLowerCase() !== '.json') {
+    throw new MappingError(`Mapping files must be JSON: ${resolved}`);
+  }
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new MappingError(`Could not read mapping ${resolved}: ${error.message}`);
+  }
+  const problems = validateMapping(mapping);
+  if (problems.length > 0) {
+    throw new MappingError(`Invalid mapping ${resolved}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return mapping;
+}
+
+// Accept a mapping object, a file path or nothing (VENDOR_MAPPING_FILE, then the default)
+function resolveMapping(mapping, env = process.env) {
+  if (mapping && typeof mapping === 'object') {
+    const problems = validateMapping(mapping);
+    if (problems.length > 0) {
+      throw new MappingError(`Invalid mapping:\n  - ${problems.join('\n  - ')}`);
+    }
+    return mapping;
+  }
+  return loadMapping(mapping || env.VENDOR_MAPPING_FILE || DEFAULT_MAPPING_PATH);
+}
+
+module.exports = {
+  DEFAULT_MAPPING_PATH,
+  MappingError,
+  validateMapping,
+  loadMapping,
+  resolveMapping
+};
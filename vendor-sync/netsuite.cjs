@@ -0,0 +1,426 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { RequestError, classifyResponse, classifyError, httpsRequest, httpsPostJson, httpsPatchJson } = require('./http.cjs');
+const { resolveNetSuiteConfig } = require('./config.cjs');
+const { diffVendor, formatDiff } = require('./diff.cjs');
+const { findDuplicateVendors, describeCandidate } = require('./duplicates.cjs');
+const { createRateLimiter, resolveRateLimit } = require('./throttle.cjs');
+
+function assertEnv(name, val) {
+  if (!val || String(val).trim() === '') {
+    throw new Error(`Missing required env var: ${name}`);
+  }
+}
+
+function loadJsrsasignSafely(jsrsasignFile) {
+  const code = fs.readFileSync(jsrsasignFile, 'utf8');
+  // Give the bundle its own module object so it cannot touch our exports
+  const sandboxModule = { exports: {} };
+  const factory = new Function('require', 'module', 'exports', 'global', 'navigator', 'window', `${code}; return { KJUR: typeof KJUR!=='undefined'?KJUR:global.KJUR };`);
+  const ctx = factory(require, sandboxModule, sandboxModule.exports, global, {}, {});
+  if (!ctx || !ctx.KJUR) throw new Error('Failed to load jsrsasign KJUR from file');
+  return ctx.KJUR;
+}
+
+function tokenExpired(record) {
+  if (!record) return true;
+  const now = Date.now();
+  if (record.expires_at) {
+    const exp = Date.parse(record.expires_at);
+    return !Number.isFinite(exp) || exp - now < 15000;
+  }
+  if (record.fetched_at && record.raw && typeof record.raw.expires_in === 'number') {
+    const fetched = Date.parse(record.fetched_at);
+    const exp = fetched + record.raw.expires_in * 1000;
+    return exp - now < 15000;
+  }
+  return true;
+}
+
+function readTokenRecord(config) {
+  try {
+    if (fs.existsSync(config.tokenStore)) {
+      return JSON.parse(fs.readFileSync(config.tokenStore, 'utf8'));
+    }
+  } catch (_e) {}
+  return null;
+}
+
+// Returns the cached access token while it is valid, otherwise requests a new one.
+// Pass { forceRefresh: true } to skip the cache.
+async function getValidAccessToken(config, options = {}) {
+  if (!options.forceRefresh) {
+    const record = readTokenRecord(config);
+    if (!tokenExpired(record) && record.raw && record.raw.access_token) {
+      return record.raw.access_token;
+    }
+  }
+  // Generate new
+  assertEnv('NETSUITE_DOMAIN', config.domain);
+  assertEnv('CONSUMER_KEY', config.consumerKey);
+  const inlineKey = config.certificatePrivateKey;
+  if (!(inlineKey && inlineKey.trim()) && !config.certificatePrivateKeyPath) {
+    throw new Error('Missing CERTIFICATE_PRIVATE_KEY or CERTIFICATE_PRIVATE_KEY_PATH');
+  }
+  assertEnv('CERTIFICATE_KID', config.certificateKid);
+  const tokenPath = config.tokenPath || '/services/rest/auth/oauth2/v1/token';
+  const aud = `https://${config.domain}${tokenPath}`;
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + 3600;
+  const scopeArray = (config.scopes || 'restlets,rest_webservices').split(',').map(s => s.trim()).filter(Boolean);
+  const header = { alg: 'PS256', typ: 'JWT', kid: config.certificateKid };
+  const payload = { iss: config.consumerKey, scope: scopeArray, iat: now, exp, aud };
+  const pem = inlineKey && inlineKey.trim().length > 0
+    ? inlineKey
+    : fs.readFileSync(path.resolve(config.certificatePrivateKeyPath), 'utf8');
+  const KJURObj = loadJsrsasignSafely(config.jsrsasignFile);
+  const assertion = KJURObj.jws.JWS.sign('PS256', JSON.stringify(header), JSON.stringify(payload), pem);
+  const form = {
+    grant_type: 'client_credentials',
+    client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+    client_assertion: assertion
+  };
+  const body = new URLSearchParams(form).toString();
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Content-Length': Buffer.byteLength(body)
+  };
+  // Asking for a token twice does no harm, so timeouts may be retried
+  const res = await httpsRequest('POST', aud, headers, Buffer.from(body), { idempotent: true, debug: config.debug });
+  if (res.status < 200 || res.status >= 300) {
+    const msg = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+    throw new RequestError(`Token request failed: HTTP ${res.status}: ${msg}`, { kind: classifyResponse(res), status: res.status, response: res });
+  }
+  const nowMs = Date.now();
+  const ttlMs = typeof res.data.expires_in === 'number' ? res.data.expires_in * 1000 : 0;
+  const record = {
+    fetched_at: new Date(nowMs).toISOString(),
+    expires_at: ttlMs ? new Date(nowMs + ttlMs).toISOString() : null,
+    raw: res.data
+  };
+  try { fs.writeFileSync(config.tokenStore, JSON.stringify(record, null, 2)); } catch (_e) {}
+  return res.data.access_token;
+}
+
+// Limiter options of writes: not resent on a 503 (see isThrottled in throttle.cjs)
+const WRITE = { idempotent: false };
+
+// Send a REST request through the client's rate limiter (see throttle.cjs), if it has one
+function throttled(config, send, options) {
+  return config.limiter ? config.limiter.schedule(send, options) : send();
+}
+
+// Check if vendor exists by entityId
+// A failed lookup throws a RequestError: treating it as "not found" would
+// create a second vendor. That includes a 401 (kind "auth"); upsertVendor
+// answers it as a 401 so the caller retries with a fresh token.
+async function findVendorByEntityId(config, entityId, token) {
+  if (!entityId || !entityId.trim()) return null;
+  const url = `https://${config.domain}/services/rest/record/v1/vendor?q=entityId IS "${encodeURIComponent(entityId.trim())}"`;
+  const headers = { Authorization: `Bearer ${token}`, Accept: 'application/json' };
+  const res = await throttled(config, () => httpsRequest('GET', url, headers, null, { debug: config.debug }));
+  if (res.status >= 200 && res.status < 300) {
+    return res.data && res.data.items && res.data.items.length > 0 ? res.data.items[0] : null;
+  }
+  throw new RequestError(`Vendor lookup for ${entityId} failed: HTTP ${res.status}`, { kind: classifyResponse(res), status: res.status, response: res });
+}
+
+// Run a SuiteQL query and return every row, following NetSuite's limit/offset paging
+async function runSuiteQL(config, query, token, options = {}) {
+  const pageSize = options.pageSize || 1000;
+  const items = [];
+  let offset = 0;
+  for (;;) {
+    const url = `https://${config.domain}/services/rest/query/v1/suiteql?limit=${pageSize}&offset=${offset}`;
+    const body = Buffer.from(JSON.stringify({ q: query }));
+    const headers = {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'Content-Length': body.length,
+      Accept: 'application/json',
+      Prefer: 'transient'
+    };
+    // SuiteQL only reads, so the POST may be retried
+    const res = await throttled(config, () => httpsRequest('POST', url, headers, body, { idempotent: true, debug: config.debug }));
+    if (res.status < 200 || res.status >= 300) {
+      const msg = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+      const error = new RequestError(`SuiteQL request failed: HTTP ${res.status}: ${msg}`, { kind: classifyResponse(res), status: res.status, response: res });
+      error.netSuiteResponse = res.data;
+      error.netSuiteStatus = res.status;
+      throw error;
+    }
+    const page = (res.data && res.data.items) || [];
+    for (const item of page) {
+      const { links: _links, ...row } = item;
+      items.push(row);
+    }
+    if (!res.data || !res.data.hasMore || page.length === 0) {
+      return items;
+    }
+    offset += page.length;
+  }
+}
+
+// Fetch a vendor record (used to verify what NetSuite actually saved)
+function getVendor(config, vendorId, token) {
+  const url = `https://${config.domain}/services/rest/record/v1/vendor/${encodeURIComponent(vendorId)}?expandSubResources=true`;
+  const headers = { Authorization: `Bearer ${token}`, Accept: 'application/json' };
+  return throttled(config, () => httpsRequest('GET', url, headers, null, { debug: config.debug }));
+}
+
+// A successful create/update answers 204 with no body; give it the same data shape as dry-run results
+function withAction(res, data) {
+  return res.status >= 200 && res.status < 300 && !res.data ? { ...res, data } : res;
+}
+
+// On update, work out which fields actually change (see diff.cjs). When the
+// current record cannot be read the update fails: sending the whole payload
+// would skip the field policies and overwrite corrections made in NetSuite.
+async function changesForUpdate(config, vendorId, vendorPayload, token, options) {
+  const res = await getVendor(config, vendorId, token);
+  if (res.status < 200 || res.status >= 300 || !res.data) {
+    throw new RequestError(`Could not read vendor ${vendorId} before updating it: HTTP ${res.status}`, {
+      kind: classifyResponse(res) || 'server',
+      status: res.status,
+      response: res
+    });
+  }
+  return diffVendor(res.data, vendorPayload, options);
+}
+
+// Existing vendors a new one may duplicate (see duplicates.cjs). A failed check
+// stops the create in "block" mode rather than risk a second vendor; the error
+// keeps the kind of the failure so throttling or a network fault stays retryable.
+async function checkDuplicates(config, vendorPayload, token, settings) {
+  try {
+    return await findDuplicateVendors(query => runSuiteQL(config, query, token), vendorPayload);
+  } catch (error) {
+    if (settings.mode === 'block') {
+      const blocked = new RequestError(`Duplicate check failed, vendor not created: ${error.message}`, {
+        kind: classifyError(error).kind,
+        status: error.status,
+        code: error.code,
+        response: error.response
+      });
+      if (error.netSuiteResponse !== undefined) {
+        blocked.netSuiteResponse = error.netSuiteResponse;
+        blocked.netSuiteStatus = error.netSuiteStatus;
+      }
+      throw blocked;
+    }
+    console.error(`  ⚠ Duplicate check failed: ${error.message}`);
+    return [];
+  }
+}
+
+// Reference fields a vendor can be saved without when NetSuite rejects their
+// value; Finance fixes them in NetSuite afterwards (see rejectedReferenceFields)
+const DROPPABLE_REFERENCE_FIELDS = ['category', 'cseg_assa_cos', 'cseg_assa_nob', 'currency'];
+
+// Which droppable reference fields an error response rejected, read from
+// o:errorDetails: the o:errorPath when it names one, otherwise the field named
+// in the detail ("Invalid Field Value 12 for the following field: category")
+function rejectedReferenceFields(data) {
+  const details = data && typeof data === 'object' && Array.isArray(data['o:errorDetails']) ? data['o:errorDetails'] : [];
+  const fields = new Set();
+  for (const detail of details) {
+    const path = String(detail['o:errorPath'] || '').split(/[.[/]/)[0];
+    if (DROPPABLE_REFERENCE_FIELDS.includes(path)) {
+      fields.add(path);
+      continue;
+    }
+    const text = String(detail.detail || '');
+    for (const field of DROPPABLE_REFERENCE_FIELDS) {
+      if (new RegExp(`(^|[^\\w])${field}([^\\w]|$)`, 'i').test(text)) fields.add(field);
+    }
+  }
+  return [...fields];
+}
+
+// Create or update vendor in NetSuite
+// options.policies / options.defaultPolicy decide which differing fields an
+// update may overwrite (see fieldPolicies in diff.cjs). Updates only PATCH the
+// changed fields; the result carries the field diff as `diff` and
+// `data.action` ('create', 'update' or 'unchanged').
+// options.duplicates ({ mode, threshold, allow }) checks new vendors against
+// existing ones first; a blocked create answers 409 with action 'duplicate'.
+// Candidates found are returned as `duplicates`.
+// With retryWithoutRefs the DROPPABLE_REFERENCE_FIELDS listed in fieldsToRemove
+// are left out of the payload (see rejectedReferenceFields).
+async function upsertVendor(config, vendorPayload, token, retryWithoutRefs = false, fieldsToRemove = [], options = {}) {
+  assertEnv('NETSUITE_DOMAIN', config.domain);
+  const debug = Boolean(config.debug);
+
+  // If retrying after reference error, remove only the specific problematic fields
+  if (retryWithoutRefs) {
+    // Only remove fields that were specified as problematic
+    for (const field of DROPPABLE_REFERENCE_FIELDS) {
+      if (fieldsToRemove.includes(field)) delete vendorPayload[field];
+    }
+    // DO NOT delete address book country - it uses 2-letter ISO codes with refName which should be valid
+    // Keep E-Invoicing fields - they're required, not reference fields
+    if (debug) console.error(`[DEBUG] Retrying without problematic fields: ${fieldsToRemove.join(', ') || 'none'}`);
+  }
+
+  // Check if vendor exists. An expired token must not send an existing vendor
+  // down the create path: the 401 goes back to the caller to refresh and retry.
+  let existing = null;
+  try {
+    existing = vendorPayload.entityId ? await findVendorByEntityId(config, vendorPayload.entityId, token) : null;
+  } catch (error) {
+    if (error instanceof RequestError && error.status === 401) return { ...error.response, diff: null };
+    throw error;
+  }
+
+  if (existing && existing.id) {
+    // Update existing vendor
+    const url = `https://${config.domain}/services/rest/record/v1/vendor/${encodeURIComponent(existing.id)}`;
+    if (debug) console.error(`[DEBUG] Updating vendor ${existing.id} (entityId: ${vendorPayload.entityId})`);
+    let update;
+    try {
+      update = await changesForUpdate(config, existing.id, vendorPayload, token, options);
+    } catch (error) {
+      // Like the lookup above: an expired token is refreshed by the caller
+      if (error instanceof RequestError && error.status === 401) return { ...error.response, diff: null };
+      throw error;
+    }
+    const { changes, diff } = update;
+    if (Object.keys(changes).length === 0) {
+      if (config.dryRun || debug) {
+        console.error(`${config.dryRun ? '[DRY-RUN]' : '[DEBUG]'} Vendor ${existing.id} already matches the sheet${diff.length ? ` (${diff.length} difference(s) kept by policy)` : ''}`);
+      }
+      return { status: 200, data: { id: existing.id, action: 'unchanged' }, diff };
+    }
+    if (config.dryRun) {
+      console.error(`[DRY-RUN] Would update vendor ${existing.id} (${vendorPayload.entityId}):`);
+      formatDiff(diff).forEach(line => console.error(`  ${line}`));
+      return { status: 200, data: { id: existing.id, action: 'update' }, diff };
+    }
+    const res = await throttled(config, () => httpsPatchJson(url, changes, token, { debug }), WRITE);
+    return { ...withAction(res, { id: existing.id, action: 'update' }), diff };
+  }
+
+  // Create new vendor
+  const settings = options.duplicates || {};
+  let duplicates = [];
+  try {
+    duplicates = settings.mode && settings.mode !== 'off' ? await checkDuplicates(config, vendorPayload, token, settings) : [];
+  } catch (error) {
+    // Like the lookup above: an expired token is refreshed by the caller
+    if (error.status === 401 && error.response) return { ...error.response, diff: null };
+    throw error;
+  }
+  const strong = duplicates.filter(c => c.score >= settings.threshold);
+  if (duplicates.length > 0 && (debug || config.dryRun)) {
+    console.error(`${config.dryRun ? '[DRY-RUN]' : '[DEBUG]'} Possible duplicates of ${vendorPayload.entityId || 'the new vendor'}:`);
+    duplicates.forEach(c => console.error(`  ${describeCandidate(c)}`));
+  }
+  if (strong.length > 0 && settings.mode === 'block' && !settings.allow) {
+    return { status: 409, data: { action: 'duplicate' }, diff: null, duplicates };
+  }
+
+  const url = `https://${config.domain}/services/rest/record/v1/vendor`;
+  if (debug) console.error(`[DEBUG] Creating new vendor (entityId: ${vendorPayload.entityId})`);
+  if (config.dryRun) {
+    console.error(`[DRY-RUN] Would create vendor: ${JSON.stringify(vendorPayload, null, 2)}`);
+    return { status: 201, data: { action: 'create' }, diff: null, duplicates };
+  }
+  const res = await throttled(config, () => httpsPostJson(url, vendorPayload, token, { debug }), WRITE);
+  return { ...withAction(res, { action: 'create' }), diff: null, duplicates };
+}
+
+// PATCH the given fields of one vendor, e.g. { isInactive: true } (see vendor-status.cjs)
+async function patchVendor(config, vendorId, fields, token) {
+  assertEnv('NETSUITE_DOMAIN', config.domain);
+  if (config.dryRun) {
+    console.error(`[DRY-RUN] Would update vendor ${vendorId}: ${JSON.stringify(fields)}`);
+    return { status: 200, data: { id: String(vendorId), action: 'update' } };
+  }
+  const url = `https://${config.domain}/services/rest/record/v1/vendor/${encodeURIComponent(vendorId)}`;
+  const res = await throttled(config, () => httpsPatchJson(url, fields, token, { debug: config.debug }), WRITE);
+  return withAction(res, { id: String(vendorId), action: 'update' });
+}
+
+function suiteQlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Find a contact of a vendor by email, or by name when the contact has no email
+async function findContact(config, vendorId, contact, token) {
+  const match = contact.email
+    ? `LOWER(email) = ${suiteQlString(String(contact.email).toLowerCase())}`
+    : `LOWER(entityid) = ${suiteQlString(String(contact.entityId).toLowerCase())}`;
+  const rows = await runSuiteQL(config, `SELECT id FROM contact WHERE company = ${Number(vendorId)} AND ${match}`, token);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create a contact linked to the vendor, or update the vendor's contact with the same email/name
+async function upsertContact(config, vendorId, contact, token) {
+  assertEnv('NETSUITE_DOMAIN', config.domain);
+  const debug = Boolean(config.debug);
+  const existing = vendorId ? await findContact(config, vendorId, contact, token) : null;
+
+  if (existing && existing.id) {
+    const url = `https://${config.domain}/services/rest/record/v1/contact/${encodeURIComponent(existing.id)}`;
+    if (config.dryRun) {
+      console.error(`[DRY-RUN] Would update contact ${existing.id} of vendor ${vendorId}: ${JSON.stringify(contact)}`);
+      return { status: 200, data: { id: existing.id, action: 'update' } };
+    }
+    // A name that only repeats the email (see mapSheetRowToContacts) must not overwrite the real one
+    const changes = { ...contact };
+    if (changes.entityId === changes.email) delete changes.entityId;
+    const res = await throttled(config, () => httpsPatchJson(url, changes, token, { debug }), WRITE);
+    return { ...res, data: { ...(res.data || {}), id: existing.id, action: 'update' } };
+  }
+
+  const payload = { ...contact, company: { id: String(vendorId) } };
+  if (config.dryRun) {
+    console.error(`[DRY-RUN] Would create contact for vendor ${vendorId || '(new vendor)'}: ${JSON.stringify(contact)}`);
+    return { status: 201, data: { action: 'create' } };
+  }
+  const url = `https://${config.domain}/services/rest/record/v1/contact`;
+  const res = await throttled(config, () => httpsPostJson(url, payload, token, { debug }), WRITE);
+  return { ...res, data: { ...(res.data || {}), action: 'create' } };
+}
+
+// Bind the NetSuite helpers to one set of credentials.
+// `options` are merged over the env-derived config (see resolveNetSuiteConfig);
+// options.rateLimit caps REST requests per second (default NETSUITE_RATE_LIMIT or 5).
+function createNetSuiteClient(options = {}) {
+  const config = resolveNetSuiteConfig(process.env, options);
+  if (!config.limiter) {
+    config.limiter = createRateLimiter({ ratePerSecond: resolveRateLimit(config.rateLimit), debug: config.debug });
+  }
+  return {
+    config,
+    getValidAccessToken: (tokenOptions) => getValidAccessToken(config, tokenOptions),
+    readTokenRecord: () => readTokenRecord(config),
+    findVendorByEntityId: (entityId, token) => findVendorByEntityId(config, entityId, token),
+    getVendor: (vendorId, token) => getVendor(config, vendorId, token),
+    runSuiteQL: (query, token, queryOptions) => runSuiteQL(config, query, token, queryOptions),
+    upsertVendor: (vendorPayload, token, retryWithoutRefs, fieldsToRemove, upsertOptions) =>
+      upsertVendor(config, vendorPayload, token, retryWithoutRefs, fieldsToRemove, upsertOptions),
+    patchVendor: (vendorId, fields, token) => patchVendor(config, vendorId, fields, token),
+    findContact: (vendorId, contact, token) => findContact(config, vendorId, contact, token),
+    upsertContact: (vendorId, contact, token) => upsertContact(config, vendorId, contact, token)
+  };
+}
+
+module.exports = {
+  assertEnv,
+  tokenExpired,
+  readTokenRecord,
+  getValidAccessToken,
+  findVendorByEntityId,
+  runSuiteQL,
+  getVendor,
+  upsertVendor,
+  patchVendor,
+  DROPPABLE_REFERENCE_FIELDS,
+  rejectedReferenceFields,
+  findContact,
+  upsertContact,
+  createNetSuiteClient
+};
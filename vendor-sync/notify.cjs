@@ -0,0 +1,231 @@
+'use strict';
+
+const { ConfigError } = require('./config.cjs');
+const { httpsPostJson } = require('./http.cjs');
+const { sendMail } = require('./smtp.cjs');
+const { pushOutcome, runOutcome } = require('./run-log.cjs');
+const { extractNetSuiteErrorDetails } = require('./util.cjs');
+
+// End-of-run digest of a sync: new and updated vendors, rows synced with
+// warnings and failed rows with NetSuite's error detail, sent to every
+// configured channel. Channels are plug-ins: { name, send(digest) }; the
+// built-in ones come from the environment:
+//
+//   VENDOR_NOTIFY_SMTP_HOST / _PORT / _SECURE / _USER / _PASS   email via SMTP
+//   VENDOR_NOTIFY_FROM, VENDOR_NOTIFY_TO                        sender, recipients (comma-separated)
+//   VENDOR_NOTIFY_WEBHOOK_URL                                   webhook(s), comma-separated
+//   VENDOR_NOTIFY_WEBHOOK_FORMAT                                slack (default) or teams
+//   VENDOR_NOTIFY_ON                                            always (default), failure or never
+//
+// With "always" a run with nothing to report (no row created, updated or
+// failed) sends nothing; "failure" only sends for partial and fatal runs.
+const NOTIFY_ON = ['always', 'failure', 'never'];
+const WEBHOOK_FORMATS = ['slack', 'teams'];
+// Rows listed per section; the summary file and the Errors tab have the rest
+const DIGEST_ROW_LIMIT = 50;
+
+function listValue(value) {
+  return String(value || '').split(/[,;]/).map(item => item.trim()).filter(Boolean);
+}
+
+// overrides: { on, to } win over VENDOR_NOTIFY_ON / VENDOR_NOTIFY_TO.
+// Returns { on, channels: [{ type: 'smtp', ... } | { type: 'webhook', url, format }] }.
+function resolveNotifyConfig(env = process.env, overrides = {}) {
+  const on = String(overrides.on || env.VENDOR_NOTIFY_ON || 'always').trim().toLowerCase();
+  if (!NOTIFY_ON.includes(on)) {
+    throw new ConfigError(`Notify on must be one of ${NOTIFY_ON.join(', ')}, got "${overrides.on || env.VENDOR_NOTIFY_ON}"`);
+  }
+  const channels = [];
+
+  if (env.VENDOR_NOTIFY_SMTP_HOST) {
+    const to = overrides.to ? listValue(overrides.to) : listValue(env.VENDOR_NOTIFY_TO);
+    const from = env.VENDOR_NOTIFY_FROM || (String(env.VENDOR_NOTIFY_SMTP_USER || '').includes('@') ? env.VENDOR_NOTIFY_SMTP_USER : '');
+    if (to.length === 0 || !from) {
+      throw new ConfigError('VENDOR_NOTIFY_SMTP_HOST is set but VENDOR_NOTIFY_TO or VENDOR_NOTIFY_FROM is missing');
+    }
+    const port = env.VENDOR_NOTIFY_SMTP_PORT ? Number(env.VENDOR_NOTIFY_SMTP_PORT) : undefined;
+    if (port !== undefined && !(Number.isInteger(port) && port > 0)) {
+      throw new ConfigError(`VENDOR_NOTIFY_SMTP_PORT must be a port number, got "${env.VENDOR_NOTIFY_SMTP_PORT}"`);
+    }
+    channels.push({
+      type: 'smtp',
+      host: env.VENDOR_NOTIFY_SMTP_HOST,
+      port,
+      secure: env.VENDOR_NOTIFY_SMTP_SECURE === 'true',
+      user: env.VENDOR_NOTIFY_SMTP_USER || undefined,
+      pass: env.VENDOR_NOTIFY_SMTP_PASS || undefined,
+      from,
+      to
+    });
+  }
+
+  const format = String(env.VENDOR_NOTIFY_WEBHOOK_FORMAT || 'slack').trim().toLowerCase();
+  for (const url of listValue(env.VENDOR_NOTIFY_WEBHOOK_URL)) {
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw new ConfigError(`VENDOR_NOTIFY_WEBHOOK_FORMAT must be one of ${WEBHOOK_FORMATS.join(', ')}, got "${env.VENDOR_NOTIFY_WEBHOOK_FORMAT}"`);
+    }
+    if (!/^https?:\/\//i.test(url)) {
+      throw new ConfigError(`VENDOR_NOTIFY_WEBHOOK_URL must be an http(s) URL, got "${url}"`);
+    }
+    channels.push({ type: 'webhook', url, format });
+  }
+  return { on, channels };
+}
+
+// NetSuite's own words for a failed row, from the raw error response
+function failureDetail(error) {
+  const details = extractNetSuiteErrorDetails(error.netSuiteResponse);
+  if (!details) return '';
+  try {
+    const parsed = JSON.parse(details);
+    if (Array.isArray(parsed)) {
+      return parsed.map(d => d.detail || d['o:errorCode']).filter(Boolean).join('; ');
+    }
+  } catch (_e) {}
+  return details;
+}
+
+// What a digest says about a run. `summary` is null for a run that stopped
+// early; meta: { runId, error, dryRun, sandbox }
+function buildDigest(summary, meta = {}) {
+  const results = (summary && summary.results) || [];
+  const created = results.filter(r => pushOutcome(r) === 'created')
+    .map(r => ({ row: r.rowKey, vendorId: r.vendorId || null, source: r.source }));
+  // Vendors left unchanged are not news
+  const updated = results.filter(r => pushOutcome(r) === 'updated')
+    .map(r => ({ row: r.rowKey, vendorId: r.vendorId || null, source: r.source, changedFields: r.diff ? r.diff.filter(d => d.applied).length : null }));
+  const failed = ((summary && summary.errors) || []).map(e => ({
+    row: e.row || `source ${e.source}`,
+    source: e.row ? e.source : undefined,
+    kind: e.kind,
+    status: e.status,
+    error: e.error,
+    detail: failureDetail(e)
+  }));
+  const warned = ((summary && summary.warnings) || []).map(w => ({ row: w.row, vendorId: w.vendorId || null, source: w.source, dropped: w.dropped }));
+
+  const outcome = runOutcome(summary);
+  const flags = [meta.sandbox ? 'sandbox' : '', meta.dryRun ? 'dry run' : ''].filter(Boolean);
+  const title = outcome === 'fatal'
+    ? `Vendor sync stopped: ${meta.error ? meta.error.message || meta.error : 'unknown error'}`
+    : `Vendor sync ${outcome === 'success' ? 'succeeded' : 'finished with failures'}: ${created.length} new, ${updated.length} updated, ${failed.length} failed`;
+  return {
+    runId: meta.runId,
+    outcome,
+    title: flags.length > 0 ? `${title} [${flags.join(', ')}]` : title,
+    created,
+    updated,
+    failed,
+    warned
+  };
+}
+
+function limited(items, format) {
+  const lines = items.slice(0, DIGEST_ROW_LIMIT).map(format);
+  if (items.length > DIGEST_ROW_LIMIT) lines.push(`… and ${items.length - DIGEST_ROW_LIMIT} more (see the summary file or the Errors tab)`);
+  return lines;
+}
+
+// " (source)" after a row of a multi-source run
+function where(item) {
+  return item.source ? ` (${item.source})` : '';
+}
+
+// The digest as lines of text; `bold` marks up section headings for chat
+function digestLines(digest, bold = text => text) {
+  const lines = [];
+  if (digest.runId) lines.push(`Run ${digest.runId}`);
+  const section = (name, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', bold(`${name} (${items.length})`), ...limited(items, format));
+  };
+  section('Failed rows', digest.failed, f => {
+    const head = `- ${f.row}${where(f)}${f.kind ? ` [${f.kind}]` : ''}`;
+    return f.detail ? `${head}: NetSuite${f.status ? ` HTTP ${f.status}` : ''}: ${f.detail}` : `${head}: ${f.error}`;
+  });
+  section('New vendors', digest.created, c => `- ${c.row}${where(c)}${c.vendorId ? ` → vendor ${c.vendorId}` : ''}`);
+  section('Updated vendors', digest.updated, u => `- ${u.row}${where(u)}${u.vendorId ? ` → vendor ${u.vendorId}` : ''}${u.changedFields ? ` (${u.changedFields} field(s) changed)` : ''}`);
+  section('Synced with warnings', digest.warned, w => `- ${w.row}${where(w)}: ${w.dropped.map(d => `${d.field} "${d.value}" left off`).join('; ')}`);
+  return lines;
+}
+
+function webhookPayload(digest, format) {
+  if (format === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      themeColor: digest.outcome === 'success' ? '2EB886' : 'D00000',
+      summary: digest.title,
+      title: digest.title,
+      // Teams collapses single line breaks
+      text: digestLines(digest, text => `**${text}**`).join('\n\n')
+    };
+  }
+  return { text: [`*${digest.title}*`, ...digestLines(digest, text => `*${text}*`)].join('\n') };
+}
+
+// Built-in channel plug-ins by type (see resolveNotifyConfig)
+const NOTIFIERS = {
+  smtp: channel => ({
+    name: `email to ${channel.to.join(', ')}`,
+    send: digest => sendMail({ ...channel, subject: digest.title, text: [digest.title, ...digestLines(digest)].join('\n') })
+  }),
+  webhook: channel => ({
+    name: `${channel.format} webhook ${new URL(channel.url).host}`,
+    async send(digest) {
+      const res = await httpsPostJson(channel.url, webhookPayload(digest, channel.format), null);
+      if (res.status < 200 || res.status >= 300) {
+        const body = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
+        throw new Error(`HTTP ${res.status}${body ? ` - ${body.slice(0, 200)}` : ''}`);
+      }
+    }
+  })
+};
+
+function createNotifiers(config) {
+  return config.channels.map(channel => NOTIFIERS[channel.type](channel));
+}
+
+// Is the digest worth sending with VENDOR_NOTIFY_ON = `on`?
+function shouldNotify(digest, on) {
+  if (on === 'never') return false;
+  if (digest.outcome !== 'success') return true;
+  if (on === 'failure') return false;
+  return digest.created.length + digest.updated.length + digest.warned.length > 0;
+}
+
+// Send the digest of a run (see buildDigest for summary and meta) to every
+// notifier: options.notifiers, or the channels of options.config /
+// resolveNotifyConfig(). A channel that fails is reported and skipped; this
+// never throws for delivery problems. Returns [{ name, ok, error }].
+async function notifyRun(summary, meta = {}, options = {}) {
+  const config = options.config || resolveNotifyConfig();
+  const notifiers = options.notifiers || createNotifiers(config);
+  if (notifiers.length === 0) return [];
+  const digest = buildDigest(summary, meta);
+  if (!shouldNotify(digest, config.on)) {
+    if (options.debug) console.error(`[DEBUG] No notification (outcome ${digest.outcome}, notify on ${config.on})`);
+    return [];
+  }
+  const sent = [];
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(digest);
+      console.error(`✓ Sent the run digest (${notifier.name})`);
+      sent.push({ name: notifier.name, ok: true });
+    } catch (error) {
+      console.error(`⚠ Could not send the run digest (${notifier.name}): ${error.message}`);
+      sent.push({ name: notifier.name, ok: false, error: error.message });
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  NOTIFY_ON,
+  WEBHOOK_FORMATS,
+  resolveNotifyConfig,
+  buildDigest,
+  shouldNotify,
+  notifyRun
+};
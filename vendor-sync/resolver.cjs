@@ -0,0 +1,233 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Built-in aliases shipped with the code; the user file in the lookup directory
+// (or LOOKUP_ALIASES_FILE) is merged over it section by section.
+const DEFAULT_ALIASES_PATH = path.join(__dirname, 'aliases', 'default.json');
+const USER_ALIASES_FILE = 'lookup_aliases.json';
+
+// Fuzzy matches scoring at least this are used; LOOKUP_MATCH_THRESHOLD overrides
+const DEFAULT_MATCH_THRESHOLD = 0.85;
+// Below this a candidate is not worth suggesting
+const SUGGESTION_FLOOR = 0.6;
+// The best candidate must beat the runner-up by this much to be trusted
+const AMBIGUITY_MARGIN = 0.05;
+
+// Alias file section used by each lookup table
+const LOOKUP_KINDS = {
+  countryCodesLookup: 'country',
+  addressBookLookup: 'country',
+  stateCodesLookup: 'state',
+  currenciesLookup: 'currency',
+  categoriesLookup: 'category',
+  assaCategoriesLookup: 'category',
+  assaNatureLookup: 'category',
+  msicLookup: 'msic'
+};
+
+// Word-level expansions applied after punctuation is stripped
+const ABBREVIATIONS = {
+  WP: 'WILAYAH PERSEKUTUAN',
+  ST: 'SAINT',
+  STE: 'SAINTE',
+  REP: 'REPUBLIC',
+  DEM: 'DEMOCRATIC',
+  FED: 'FEDERATION',
+  UTD: 'UNITED',
+  MT: 'MOUNT'
+};
+
+// Upper-case, drop diacritics and dots ("U.S.A." -> "USA"), turn other
+// punctuation into spaces, expand abbreviations and drop a leading "THE".
+function normaliseLookupKey(value) {
+  const words = String(value === undefined || value === null ? '' : value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/\./g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word);
+  if (words[0] === 'THE' && words.length > 1) words.shift();
+  return words.join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Lookup files list one entry under several keys; JSON copies them, so compare ids
+function sameEntry(a, b) {
+  if (a === b) return true;
+  return Boolean(a && b && typeof a === 'object' && typeof b === 'object' && a.id !== undefined && a.id === b.id);
+}
+
+function ratio(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// 0..1 similarity of two normalised keys; word order does not matter
+// ("REPUBLIC OF KOREA" vs "KOREA REPUBLIC OF")
+function similarity(a, b) {
+  const sortWords = s => s.split(' ').sort().join(' ');
+  return Math.max(ratio(a, b), ratio(sortWords(a), sortWords(b)));
+}
+
+// Alias files look like { "country": { "KL": "14", "U.K.": "GB" }, "state": {...} }.
+// Keys are normalised; values are keys of the lookup table (or a list of them, first hit wins).
+function normaliseAliases(raw) {
+  const aliases = {};
+  for (const [kind, entries] of Object.entries(raw || {})) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) continue;
+    aliases[kind] = {};
+    for (const [alias, target] of Object.entries(entries)) {
+      aliases[kind][normaliseLookupKey(alias)] = [].concat(target).map(String);
+    }
+  }
+  return aliases;
+}
+
+function readAliasFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read alias file ${file}: ${error.message}`);
+  }
+}
+
+// Built-in aliases with the user's file merged over them
+function loadAliases(options = {}) {
+  const env = options.env || process.env;
+  const userFile = options.file || env.LOOKUP_ALIASES_FILE || (options.lookupDir ? path.join(options.lookupDir, USER_ALIASES_FILE) : null);
+  const builtIn = normaliseAliases(readAliasFile(DEFAULT_ALIASES_PATH));
+  const user = userFile ? normaliseAliases(readAliasFile(userFile)) : {};
+  const merged = { ...builtIn };
+  for (const [kind, entries] of Object.entries(user)) {
+    merged[kind] = { ...(merged[kind] || {}), ...entries };
+  }
+  return merged;
+}
+
+function resolveMatchThreshold(value, env = process.env) {
+  const raw = value !== undefined && value !== null && value !== '' ? value : env.LOOKUP_MATCH_THRESHOLD;
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_MATCH_THRESHOLD;
+  const threshold = Number(raw);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error(`Match threshold must be a number between 0 and 1, got "${raw}"`);
+  }
+  return threshold;
+}
+
+// Matches a sheet value against a lookup table:
+//   exact       the upper-cased value is a key
+//   normalised  equal after normaliseLookupKey
+//   alias       an alias file entry points at a key
+//   fuzzy       closest key by similarity, at or above the threshold and unambiguous
+// resolve() returns { match: { key, value, method, score } } or, when nothing is
+// confident enough, { match: null, suggestion: { key, score } | null }.
+function createLookupResolver(options = {}) {
+  const aliases = options.aliases || normaliseAliases(readAliasFile(DEFAULT_ALIASES_PATH));
+  const threshold = resolveMatchThreshold(options.threshold);
+  const indexes = new WeakMap();
+
+  // normalised key -> first original key, built once per table
+  function indexFor(table) {
+    let index = indexes.get(table);
+    if (!index) {
+      index = new Map();
+      for (const key of Object.keys(table)) {
+        const norm = normaliseLookupKey(key);
+        if (norm && !index.has(norm)) index.set(norm, key);
+      }
+      indexes.set(table, index);
+    }
+    return index;
+  }
+
+  function direct(table, value) {
+    const text = String(value).trim();
+    if (table[text.toUpperCase()] !== undefined) return text.toUpperCase();
+    if (table[text] !== undefined) return text;
+    return indexFor(table).get(normaliseLookupKey(text)) || null;
+  }
+
+  function resolve(lookupName, table, value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text || !table) return { match: null, suggestion: null };
+
+    const exact = table[text.toUpperCase()] !== undefined ? text.toUpperCase() : (table[text] !== undefined ? text : null);
+    if (exact) return { match: { key: exact, value: table[exact], method: 'exact', score: 1 } };
+
+    const norm = normaliseLookupKey(text);
+    const index = indexFor(table);
+    if (index.has(norm)) {
+      const key = index.get(norm);
+      return { match: { key, value: table[key], method: 'normalised', score: 1 } };
+    }
+
+    const targets = (aliases[LOOKUP_KINDS[lookupName] || lookupName] || {})[norm];
+    for (const target of targets || []) {
+      const key = direct(table, target);
+      if (key) return { match: { key, value: table[key], method: 'alias', score: 1 } };
+    }
+
+    // Codes and very short values are never guessed
+    if (norm.length < 4 || /^[0-9 ]+$/.test(norm)) return { match: null, suggestion: null };
+
+    let best = null;
+    let runnerUp = null;
+    for (const [candidate, key] of index) {
+      const score = similarity(norm, candidate);
+      if (!best || score > best.score) {
+        // Keys pointing at the same entry (name, code, description) are not rivals
+        if (best && !sameEntry(table[best.key], table[key])) runnerUp = best;
+        best = { key, score };
+      } else if ((!runnerUp || score > runnerUp.score) && !sameEntry(table[best.key], table[key])) {
+        runnerUp = { key, score };
+      }
+    }
+    if (!best || best.score < SUGGESTION_FLOOR) return { match: null, suggestion: null };
+    const unambiguous = !runnerUp || best.score - runnerUp.score >= AMBIGUITY_MARGIN;
+    if (best.score >= threshold && unambiguous) {
+      return { match: { key: best.key, value: table[best.key], method: 'fuzzy', score: best.score } };
+    }
+    return { match: null, suggestion: { key: best.key, score: best.score, ambiguousWith: unambiguous ? null : runnerUp.key } };
+  }
+
+  return { threshold, resolve };
+}
+
+// Describe a resolver outcome for validation messages
+function describeSuggestion(suggestion) {
+  const closest = `closest "${suggestion.key}", score ${suggestion.score.toFixed(2)}`;
+  return suggestion.ambiguousWith ? `${closest}, just as close to "${suggestion.ambiguousWith}"` : closest;
+}
+
+module.exports = {
+  DEFAULT_ALIASES_PATH,
+  USER_ALIASES_FILE,
+  DEFAULT_MATCH_THRESHOLD,
+  LOOKUP_KINDS,
+  normaliseLookupKey,
+  similarity,
+  loadAliases,
+  resolveMatchThreshold,
+  createLookupResolver,
+  describeSuggestion
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Machine-readable output of a sync run, next to the human one on stderr:
+//   - a JSON-lines log, one object per event:
+//       { time, level, runId, stage, rowKey?, durationMs?, ... }
+//     stages: run (start/end/fatal), lookups, requeue, read, skip, push, copy,
+//     delete, mark, errors-sheet
+//   - a run report (summary file) listing the created, updated, unchanged,
+//     skipped, failed and warned rows with their vendor ids, and the run's outcome
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// How a run ended; the CLI maps these to exit codes
+//   success  every row synced (or was skipped)
+//   partial  the run finished but at least one row failed
+//   fatal    the run stopped early (bad config, lookups, auth, Sheets...)
+const RUN_OUTCOMES = ['success', 'partial', 'fatal'];
+
+// Sortable and unique enough to find a run's lines in a shared log
+function newRunId(now = new Date()) {
+  return `${now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// A JSON-lines logger. options.file is a path (appended to) or '-' for stdout;
+// without it nothing is written. Debug events are only written with options.debug.
+// child(fields) returns a logger adding `fields` to every line (e.g. the source).
+function createRunLog(options = {}) {
+  const runId = options.runId || newRunId();
+  const file = options.file || null;
+  const minLevel = options.debug ? 'debug' : 'info';
+  const state = { fd: null };
+
+  function write(level, stage, fields) {
+    if (!file || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, runId, stage, ...fields }) + '\n';
+    if (file === '-') {
+      process.stdout.write(line);
+      return;
+    }
+    if (state.fd === null) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      state.fd = fs.openSync(file, 'a');
+    }
+    fs.writeSync(state.fd, line);
+  }
+
+  function bind(base) {
+    const at = level => (stage, fields = {}) => write(level, stage, { ...base, ...fields });
+    return {
+      runId,
+      file,
+      debug: at('debug'),
+      info: at('info'),
+      warn: at('warn'),
+      error: at('error'),
+      child: fields => bind({ ...base, ...fields }),
+      close() {
+        if (state.fd !== null) fs.closeSync(state.fd);
+        state.fd = null;
+      }
+    };
+  }
+  return bind({});
+}
+
+// What a push did to the vendor: created, updated, unchanged (NetSuite already
+// matched the row, or every difference was kept by policy) or failed
+function pushOutcome(result) {
+  if (!result.ok) return 'failed';
+  if (result.action === 'create') return 'created';
+  if (result.action === 'unchanged' || (result.diff && !result.diff.some(d => d.applied))) return 'unchanged';
+  return 'updated';
+}
+
+function runOutcome(summary) {
+  if (!summary) return 'fatal';
+  return summary.errorCount > 0 ? 'partial' : 'success';
+}
+
+// Report of a run from its summary (see syncAll / syncSources); `summary` is
+// null for a run that stopped early, with meta.error saying why.
+// meta: { runId, startedAt, finishedAt, error, ...anything else to record }
+function buildRunReport(summary, meta = {}) {
+  const { runId, startedAt, finishedAt = new Date(), error, ...rest } = meta;
+  const rows = { created: [], updated: [], unchanged: [], skipped: [], failed: [], warned: [] };
+  const tag = item => (item.source ? { source: item.source } : {});
+
+  for (const result of (summary && summary.results) || []) {
+    const row = { row: result.rowKey, sheetRow: result.rowIndex !== undefined ? result.rowIndex + 1 : undefined, ...tag(result) };
+    if (!result.ok) {
+      rows.failed.push({ ...row, error: result.error, kind: result.errorKind, retryable: result.retryable });
+      continue;
+    }
+    const entry = { ...row, vendorId: result.vendorId || null };
+    if (result.resumed) entry.resumed = true;
+    const outcome = pushOutcome(result);
+    if (outcome === 'updated' && result.diff) entry.changedFields = result.diff.filter(d => d.applied).length;
+    rows[outcome].push(entry);
+  }
+  for (const skipped of (summary && summary.skipped) || []) {
+    rows.skipped.push({ row: skipped.row, sheetRow: skipped.rowIndex + 1, ...tag(skipped) });
+  }
+  for (const warning of (summary && summary.warnings) || []) {
+    rows.warned.push({ row: warning.row, vendorId: warning.vendorId || null, dropped: warning.dropped, ...tag(warning) });
+  }
+
+  const report = {
+    runId,
+    outcome: runOutcome(summary),
+    startedAt: startedAt ? new Date(startedAt).toISOString() : undefined,
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: startedAt ? new Date(finishedAt) - new Date(startedAt) : undefined,
+    ...rest,
+    counts: Object.fromEntries(Object.entries(rows).map(([name, list]) => [name, list.length])),
+    rows
+  };
+  if (summary && summary.resolvedCount) report.counts.resolved = summary.resolvedCount;
+  if (summary && summary.sources) {
+    report.sources = summary.sources.map(s => ({ name: s.name, outcome: s.error ? 'fatal' : runOutcome(s.summary), error: s.error }));
+  }
+  if (error) report.error = error.message || String(error);
+  return report;
+}
+
+// Write the report through a temp file so a reader never sees half of it
+function writeRunReport(file, report) {
+  const resolved = path.resolve(file);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  const temp = `${resolved}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(report, null, 2) + '\n');
+  fs.renameSync(temp, resolved);
+  return resolved;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  RUN_OUTCOMES,
+  newRunId,
+  createRunLog,
+  pushOutcome,
+  runOutcome,
+  buildRunReport,
+  writeRunReport
+};
@@ -0,0 +1,636 @@
+'use strict';
+
+const fs = require('fs');
+const { SYNCED_SHEET_NAME, ERROR_SHEET_NAME } = require('./config.cjs');
+
+// Authenticate with Google Sheets API (read and write) using a service account file
+async function createSheetsClient(serviceAccountPath) {
+  if (!fs.existsSync(serviceAccountPath)) {
+    throw new Error(`Service account file not found at: ${serviceAccountPath}`);
+  }
+  const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+  const { google } = require('googleapis');
+  const auth = new google.auth.GoogleAuth({
+    credentials: serviceAccount,
+    scopes: [
+      'https://www.googleapis.com/auth/spreadsheets' // Full access including delete
+    ]
+  });
+  const authClient = await auth.getClient();
+  return google.sheets({ version: 'v4', auth: authClient });
+}
+
+// A1 range on a tab: the name in single quotes (quotes in it doubled), as
+// names with spaces such as "NetSuite Vendors" require
+function a1Range(sheetName, cells) {
+  return `'${String(sheetName).replace(/'/g, "''")}'!${cells}`;
+}
+
+// Read a tab and turn every data row into an object keyed by header
+async function readSheetRows(sheets, spreadsheetId, sheetName) {
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1Range(sheetName, 'A:ZZ'),
+  });
+  const rows = response.data.values || [];
+  if (rows.length === 0) {
+    return { headers: [], rows, records: [] };
+  }
+
+  // First row contains column headers
+  const headers = rows[0].map((h, idx) => {
+    return h && String(h).trim() ? String(h).trim() : `Column_${String.fromCharCode(65 + (idx % 26))}`;
+  });
+
+  // `index` is the 0-based row index in the tab (rows[0] is the header)
+  const records = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const data = {};
+    headers.forEach((header, colIndex) => {
+      data[header] = row[colIndex] !== undefined ? row[colIndex] : '';
+    });
+    records.push({ index: i, data });
+  }
+  return { headers, rows, records };
+}
+
+// List the tabs of a spreadsheet with their ids and grid sizes
+async function listSheets(sheets, spreadsheetId) {
+  const metadata = await sheets.spreadsheets.get({ spreadsheetId });
+  return {
+    title: metadata.data.properties ? metadata.data.properties.title : '',
+    tabs: (metadata.data.sheets || []).map(s => ({
+      title: s.properties.title,
+      sheetId: s.properties.sheetId,
+      rowCount: s.properties.gridProperties ? s.properties.gridProperties.rowCount : null,
+      columnCount: s.properties.gridProperties ? s.properties.gridProperties.columnCount : null
+    }))
+  };
+}
+
+// Fetch the spreadsheet's tab list once; pass it as options.metadata to the
+// helpers below so a run does not ask for it again per row. Tabs this module
+// creates are added to it.
+async function getSpreadsheetMetadata(sheets, spreadsheetId) {
+  const metadata = await sheets.spreadsheets.get({ spreadsheetId });
+  return metadata.data;
+}
+
+// Tab properties by title: exact match first, then case-insensitive
+function findTab(metadata, title) {
+  const tabs = ((metadata && metadata.sheets) || []).filter(s => s && s.properties);
+  const sheet = tabs.find(s => s.properties.title === title)
+    || tabs.find(s => s.properties.title && s.properties.title.toLowerCase() === String(title).toLowerCase());
+  return sheet ? sheet.properties : null;
+}
+
+// Ensure a tab exists, creating it when missing
+async function ensureSheet(sheets, spreadsheetId, title, options = {}) {
+  try {
+    // Get all sheets
+    const metadata = options.metadata || await getSpreadsheetMetadata(sheets, spreadsheetId);
+    const existing = (metadata.sheets || []).find(s => s.properties.title === title);
+
+    if (!existing) {
+      const response = await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title
+              }
+            }
+          }]
+        }
+      });
+      const reply = response && response.data && response.data.replies && response.data.replies[0];
+      if (options.metadata && reply && reply.addSheet) {
+        metadata.sheets = [...(metadata.sheets || []), { properties: reply.addSheet.properties }];
+      }
+      console.error(`Created "${title}" sheet`);
+    }
+  } catch (error) {
+    console.error(`Warning: Could not ensure ${title} sheet exists: ${error.message}`);
+  }
+}
+
+// Ensure 'Synced' sheet exists
+function ensureSyncedSheet(sheets, spreadsheetId, sheetName = SYNCED_SHEET_NAME, options = {}) {
+  return ensureSheet(sheets, spreadsheetId, sheetName, options);
+}
+
+// Ensure 'Errors' sheet exists
+function ensureErrorSheet(sheets, spreadsheetId, sheetName = ERROR_SHEET_NAME, options = {}) {
+  return ensureSheet(sheets, spreadsheetId, sheetName, options);
+}
+
+// Make sure a log tab (Synced, Errors) has a header row: `headers` when the tab
+// is empty, and `extraNames` added after the existing columns when missing.
+// Returns the header row as it now stands.
+async function ensureHeaderRow(sheets, spreadsheetId, sheetName, headers, extraNames = []) {
+  const existing = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: a1Range(sheetName, 'A1:ZZ1')
+  });
+  const hasHeaders = existing.data.values && existing.data.values.length > 0;
+  let headerRow = hasHeaders ? existing.data.values[0].slice() : [...headers];
+  const missing = extraNames.filter(name => !headerRow.includes(name));
+  if (missing.length > 0) {
+    // Extra columns go after the fixed columns, never over them
+    while (headerRow.length < headers.length) headerRow.push('');
+    headerRow = [...headerRow, ...missing];
+  }
+  if (!hasHeaders || missing.length > 0) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: a1Range(sheetName, 'A1'),
+      valueInputOption: 'RAW',
+      requestBody: { values: [headerRow] }
+    });
+  }
+  return headerRow;
+}
+
+// Cell value as written with RAW input: booleans stay booleans (checkboxes), the rest is text
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'boolean' ? value : String(value);
+}
+
+// A positional row for `headerRow` with each value under its header's column
+function rowByName(headerRow, values) {
+  return headerRow.map(name => (name && values[name] !== undefined ? cellValue(values[name]) : ''));
+}
+
+// Append positional rows after the last row of a tab
+async function appendRows(sheets, spreadsheetId, sheetName, values) {
+  if (values.length === 0) return;
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: a1Range(sheetName, 'A:ZZ'),
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values }
+  });
+}
+
+// Columns added after the row data on the Errors tab
+const ERROR_DETAIL_COLUMNS = ['Error_Type', 'Retryable'];
+// ...and the entry's lifecycle. The Errors tab keeps one entry per row Key/Code:
+//   Error_Status  open, requeued (Retry was ticked and the row put back) or resolved
+//   Attempts      failed runs so far; First_Seen / Last_Seen when the first and latest failed
+//   Resolved_At   when the vendor synced after failing
+//   Retry         checkbox; tick it to retry the row on the next run, putting it back on
+//                 the source tab (with the values on the Errors tab) when it is gone from
+//                 there, see requeueErrors in sync.cjs
+const ERROR_STATUS_COLUMNS = ['Error_Status', 'Attempts', 'First_Seen', 'Last_Seen', 'Resolved_At', 'Retry'];
+
+function isTicked(value) {
+  return value === true || String(value).trim().toUpperCase() === 'TRUE';
+}
+
+// Show the Retry column as checkboxes (a BOOLEAN validation on the column below the header)
+async function showRetryCheckboxes(sheets, spreadsheetId, sheetName, headerRow, metadata) {
+  const tab = findTab(metadata || await getSpreadsheetMetadata(sheets, spreadsheetId), sheetName);
+  const column = headerRow.indexOf('Retry');
+  if (!tab || column === -1) return;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        setDataValidation: {
+          range: { sheetId: tab.sheetId, startRowIndex: 1, startColumnIndex: column, endColumnIndex: column + 1 },
+          rule: { condition: { type: 'BOOLEAN' } }
+        }
+      }]
+    }
+  });
+}
+
+// Record a run's outcome on the Errors tab. `failed` are the run's errors
+// ({ row, key, error, kind, retryable, data, response }); an error whose key
+// (row Key/Code; `row` when no key is given) already has an entry updates it
+// (attempt count, last seen, message, row values) and reopens it if resolved,
+// others are appended. `resolved` lists the keys of rows that synced: their open
+// entries are marked resolved. Entries are never deleted. Rows without a
+// Key/Code (key '') are always appended. Returns { added, repeated, resolved }.
+async function updateErrorsSheet(sheets, spreadsheetId, headers, { failed = [], resolved = [] } = {}, options = {}) {
+  const counts = { added: 0, repeated: 0, resolved: 0 };
+  const sheetName = options.sheetName || ERROR_SHEET_NAME;
+  if (failed.length === 0 && resolved.length === 0) return counts;
+
+  try {
+    const metadata = options.metadata || await getSpreadsheetMetadata(sheets, spreadsheetId);
+    if (failed.length === 0 && !findTab(metadata, sheetName)) {
+      return counts; // Nothing has failed yet, so there is nothing to resolve
+    }
+    // Ensure Errors sheet exists
+    await ensureErrorSheet(sheets, spreadsheetId, sheetName, { ...options, metadata });
+
+    // Error sheet headers: Timestamp, Row_Key, Error_Message, and all original headers,
+    // then the error kind and whether a retry could help (see classifyError in http.cjs),
+    // then the lifecycle columns. Source columns added since the tab was created
+    // go after those; rows are written by column name.
+    const errorHeaders = ['Timestamp', 'Row_Key', 'Error_Message', 'NetSuite_Response', ...headers];
+    const headerRow = await ensureHeaderRow(sheets, spreadsheetId, sheetName, errorHeaders, [...headers, ...ERROR_DETAIL_COLUMNS, ...ERROR_STATUS_COLUMNS]);
+
+    // Latest entry per key
+    const { records } = await readSheetRows(sheets, spreadsheetId, sheetName);
+    const entries = new Map();
+    for (const record of records) {
+      if (record.data.Row_Key) entries.set(record.data.Row_Key, record);
+    }
+
+    const now = new Date().toISOString();
+    const updates = [];
+    const errorRows = [];
+    for (const error of failed) {
+      const rowKey = error.row || 'Unknown';
+      const key = error.key !== undefined ? error.key : rowKey;
+      const rowData = error.data || {};
+      const details = {
+        Error_Type: error.kind || '',
+        Retryable: error.retryable === undefined ? '' : (error.retryable ? 'yes' : 'no'),
+        Error_Status: 'open',
+        Last_Seen: now,
+        Resolved_At: '',
+        Retry: false
+      };
+      const existing = key ? entries.get(key) : null;
+      if (existing) {
+        const values = {
+          Timestamp: now,
+          Error_Message: error.error || 'Unknown error',
+          NetSuite_Response: error.response || '',
+          ...details,
+          Attempts: (parseInt(existing.data.Attempts, 10) || 1) + 1,
+          // Entries from before these columns existed started at their Timestamp
+          First_Seen: existing.data.First_Seen || existing.data.Timestamp || now
+        };
+        headers.forEach(h => { values[h] = rowData[h] || ''; });
+        updates.push({ rowIndex: existing.index, values });
+        counts.repeated++;
+        continue;
+      }
+
+      // Create row with timestamp, row key, error message, and all original column values
+      const values = {
+        ...details,
+        Attempts: 1,
+        First_Seen: now
+      };
+      headers.forEach(h => { values[h] = rowData[h] || ''; });
+      errorRows.push(rowByName(headerRow, {
+        ...values,
+        Timestamp: now,
+        Row_Key: rowKey,
+        Error_Message: error.error || 'Unknown error',
+        NetSuite_Response: error.response || ''
+      }));
+      counts.added++;
+    }
+
+    for (const key of resolved) {
+      const existing = key ? entries.get(key) : null;
+      if (!existing || String(existing.data.Error_Status).trim() === 'resolved') continue;
+      // An update in this same run (a row that failed, then synced on resume) wins
+      if (updates.some(u => u.rowIndex === existing.index)) continue;
+      updates.push({ rowIndex: existing.index, values: { Error_Status: 'resolved', Resolved_At: now, Retry: false } });
+      counts.resolved++;
+    }
+
+    await writeRowValues(sheets, spreadsheetId, sheetName, headerRow, updates);
+    await appendRows(sheets, spreadsheetId, sheetName, errorRows);
+    if (updates.length > 0 || errorRows.length > 0) {
+      await showRetryCheckboxes(sheets, spreadsheetId, sheetName, headerRow, metadata);
+    }
+
+    const parts = [];
+    if (counts.added) parts.push(`${counts.added} new`);
+    if (counts.repeated) parts.push(`${counts.repeated} repeated`);
+    if (counts.resolved) parts.push(`${counts.resolved} resolved`);
+    if (parts.length > 0) console.error(`  ✓ Updated "${sheetName}" sheet: ${parts.join(', ')}`);
+  } catch (error) {
+    console.error(`  ✗ Error writing to Errors sheet: ${error.message}`);
+    if (options.debug) {
+      console.error(`  [DEBUG] Error details: ${error.stack}`);
+    }
+  }
+  return counts;
+}
+
+// Write errors to Errors sheet
+function writeErrorsToSheet(sheets, spreadsheetId, headers, errors, options = {}) {
+  return updateErrorsSheet(sheets, spreadsheetId, headers, { failed: errors || [] }, options);
+}
+
+// Entries on the Errors tab with Retry ticked that are not resolved:
+// { headerRow, requests: [{ index, key, data }] }, where data holds the row
+// values as they stand on the Errors tab. No requests when the tab is missing.
+async function readRetryRequests(sheets, spreadsheetId, sheetName = ERROR_SHEET_NAME, options = {}) {
+  const metadata = options.metadata || await getSpreadsheetMetadata(sheets, spreadsheetId);
+  const tab = findTab(metadata, sheetName);
+  if (!tab) return { headerRow: [], requests: [] };
+  const { headers, records } = await readSheetRows(sheets, spreadsheetId, tab.title);
+  const requests = records
+    .filter(({ data }) => data.Row_Key && isTicked(data.Retry) && String(data.Error_Status).trim() !== 'resolved')
+    .map(({ index, data }) => ({ index, key: data.Row_Key, data }));
+  return { headerRow: headers, requests };
+}
+
+// Append rows to the Synced sheet in one write (returns true if successful).
+// `entries` is [{ rowData, extra }]; extra maps extra column names to values
+// written after the source columns. Values go under their column by name, and
+// source columns the Synced tab does not have yet are added to its header row.
+async function appendSyncedRows(sheets, spreadsheetId, headers, entries, options = {}) {
+  const sheetName = options.sheetName || SYNCED_SHEET_NAME;
+  if (!entries || entries.length === 0) return true;
+  try {
+    // Ensure Synced sheet exists
+    await ensureSyncedSheet(sheets, spreadsheetId, sheetName, options);
+
+    // Use the source headers if the Synced sheet is empty
+    const extraNames = [...new Set(entries.flatMap(entry => Object.keys(entry.extra || {})))];
+    const syncedHeaders = await ensureHeaderRow(sheets, spreadsheetId, sheetName, headers, [...headers, ...extraNames]);
+
+    // Append rows to Synced sheet
+    const values = entries.map(({ rowData, extra }) => {
+      const named = {};
+      headers.forEach(h => { named[h] = rowData[h] || ''; });
+      return rowByName(syncedHeaders, { ...named, ...(extra || {}) });
+    });
+    await appendRows(sheets, spreadsheetId, sheetName, values);
+
+    return true;
+  } catch (error) {
+    console.error(`Error moving rows to Synced sheet: ${error.message}`);
+    return false;
+  }
+}
+
+// Move row to Synced sheet (appends to Synced, returns true if successful).
+// options.extra maps extra column names to values written after the source columns.
+function moveRowToSyncedSheet(sheets, spreadsheetId, headers, rowData, options = {}) {
+  return appendSyncedRows(sheets, spreadsheetId, headers, [{ rowData, extra: options.extra }], options);
+}
+
+// Get sheet ID by name
+async function getSheetId(sheets, spreadsheetId, sheetName, options = {}) {
+  const debug = Boolean(options.debug);
+  try {
+    const metadata = options.metadata || await getSpreadsheetMetadata(sheets, spreadsheetId);
+    if (!metadata || !metadata.sheets) {
+      console.error(`[DEBUG] Invalid metadata structure`);
+      return null;
+    }
+
+    const sheet = findTab(metadata, sheetName);
+    if (sheet) {
+      const sheetId = sheet.sheetId;
+      // sheetId can be 0 (first sheet), so check for undefined/null specifically
+      if (sheetId !== undefined && sheetId !== null) {
+        if (debug) {
+          console.error(`[DEBUG] Found sheet "${sheet.title}" with ID ${sheetId}`);
+        }
+        return sheetId;
+      } else {
+        console.error(`[DEBUG] Sheet "${sheet.title}" found but sheetId is ${sheetId}`);
+      }
+    }
+
+    console.error(`[DEBUG] Sheet "${sheetName}" not found. Available sheets: ${metadata.sheets.map(s => s.properties?.title || 'N/A').join(', ')}`);
+    if (debug) {
+      console.error(`[DEBUG] Sheet objects: ${JSON.stringify(metadata.sheets.map(s => ({ title: s.properties?.title, sheetId: s.properties?.sheetId })), null, 2)}`);
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Error in getSheetId: ${error.message}`);
+    if (debug) {
+      console.error(`[DEBUG] Error stack: ${error.stack}`);
+    }
+    return null;
+  }
+}
+
+// Group 0-based row indices into runs of adjacent rows, bottom run first:
+// [2, 3, 4, 9] -> [{ start: 9, end: 10 }, { start: 2, end: 5 }]
+function rowRanges(rowIndices) {
+  const sorted = [...new Set(rowIndices)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const index of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === index) {
+      last.end = index + 1;
+    } else {
+      ranges.push({ start: index, end: index + 1 });
+    }
+  }
+  return ranges.reverse();
+}
+
+// Delete rows (0-based tab indices) in a single batchUpdate. Ranges go bottom
+// to top so the indices of the ones still to come stay valid; the batch is
+// applied as a whole, so either every row goes or none does.
+// Returns the number of rows deleted.
+async function deleteRows(sheets, spreadsheetId, sheetId, rowIndices, options = {}) {
+  const debug = Boolean(options.debug);
+  const ranges = rowRanges(rowIndices);
+  if (ranges.length === 0) return 0;
+  // rows[0] = header (sheet row 1, API index 0)
+  // rows[1] = first data row (sheet row 2, API index 1)
+  // So rowIndex is the correct API index for deletion
+  const requests = ranges.map(({ start, end }) => ({
+    deleteDimension: {
+      range: {
+        sheetId: sheetId,
+        dimension: 'ROWS',
+        startIndex: start,
+        endIndex: end
+      }
+    }
+  }));
+  const count = ranges.reduce((sum, { start, end }) => sum + end - start, 0);
+  console.error(`  Deleting ${count} row(s) in ${ranges.length} range(s): ${ranges.map(r => r.end - r.start > 1 ? `sheet rows ${r.start + 1}-${r.end}` : `sheet row ${r.start + 1}`).join(', ')}`);
+  if (debug) {
+    console.error(`  [DEBUG] Delete requests: ${JSON.stringify(requests)}`);
+  }
+
+  try {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests }
+    });
+    return count;
+  } catch (error) {
+    console.error(`  ✗ Error deleting rows: ${error.message}`);
+    if (error.response) {
+      console.error(`    API Error: ${JSON.stringify(error.response.data, null, 2)}`);
+    }
+    if (debug) {
+      console.error(`    [DEBUG] Full error: ${error.stack}`);
+    }
+    return 0;
+  }
+}
+
+// Write named cells back onto rows of a tab in one values.batchUpdate.
+// `updates` is [{ rowIndex, values: { column: value } }] with 0-based tab row
+// indices; `headerRow` places the columns (see ensureHeaderRow).
+async function writeRowValues(sheets, spreadsheetId, sheetName, headerRow, updates) {
+  const data = [];
+  for (const { rowIndex, values } of updates) {
+    for (const [name, value] of Object.entries(values)) {
+      const column = headerRow.indexOf(name);
+      if (column === -1) throw new Error(`Column "${name}" not found on "${sheetName}"`);
+      data.push({
+        range: a1Range(sheetName, `${columnLetter(column)}${rowIndex + 1}`),
+        values: [[cellValue(value)]]
+      });
+    }
+  }
+  if (data.length === 0) return 0;
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: { valueInputOption: 'RAW', data }
+  });
+  return data.length;
+}
+
+// Overwrite whole rows (positional values from column A) in one values.batchUpdate.
+// `rows` is [{ rowIndex, values }] with 0-based tab row indices.
+async function writeRows(sheets, spreadsheetId, sheetName, rows) {
+  if (rows.length === 0) return 0;
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      valueInputOption: 'RAW',
+      data: rows.map(({ rowIndex, values }) => ({ range: a1Range(sheetName, `A${rowIndex + 1}`), values: [values.map(cellValue)] }))
+    }
+  });
+  return rows.length;
+}
+
+// Empty every cell of a tab (the tab itself stays)
+async function clearTab(sheets, spreadsheetId, sheetName) {
+  await sheets.spreadsheets.values.clear({ spreadsheetId, range: a1Range(sheetName, 'A:ZZ') });
+}
+
+// Notes written by annotateRows start with this so later runs can tell them apart from people's notes
+const ANNOTATION_PREFIX = 'vendor-sync validation';
+
+const ANNOTATION_COLORS = {
+  error: { red: 0.96, green: 0.8, blue: 0.8 },
+  warning: { red: 1, green: 0.95, blue: 0.7 }
+};
+
+// 0-based column index -> A1 column letters
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Write validation issues back to a tab as cell notes with a red (error) or
+// yellow (warning) background. `rows` is [{ rowIndex, issues: [{ level, column, message }] }]
+// with 0-based tab row indices. Notes left by an earlier run on cells that are
+// now clean are removed; notes people typed themselves are left alone.
+async function annotateRows(sheets, spreadsheetId, sheetName, headers, rows, options = {}) {
+  const debug = Boolean(options.debug);
+  const metadata = await sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges: [a1Range(sheetName, `A:${columnLetter(Math.max(headers.length - 1, 0))}`)],
+    includeGridData: true,
+    fields: 'sheets(properties(sheetId,title),data(startRow,startColumn,rowData(values(note))))'
+  });
+  const sheet = (metadata.data.sheets || [])[0];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+  const tabId = sheet.properties.sheetId;
+
+  // Cells ("row:col") that should carry a note after this run
+  const wanted = new Map();
+  for (const { rowIndex, issues } of rows) {
+    for (const issue of issues) {
+      let col = headers.indexOf(issue.column);
+      if (col === -1) col = 0; // Issues without a matching column go on the first cell of the row
+      const key = `${rowIndex}:${col}`;
+      if (!wanted.has(key)) wanted.set(key, { rowIndex, col, issues: [] });
+      wanted.get(key).issues.push(issue);
+    }
+  }
+
+  const cellRequest = (rowIndex, col, cell, fields) => ({
+    updateCells: {
+      range: { sheetId: tabId, startRowIndex: rowIndex, endRowIndex: rowIndex + 1, startColumnIndex: col, endColumnIndex: col + 1 },
+      rows: [{ values: [cell] }],
+      fields
+    }
+  });
+
+  const requests = [];
+  const stamp = new Date().toISOString();
+  for (const { rowIndex, col, issues } of wanted.values()) {
+    const level = issues.some(i => i.level === 'error') ? 'error' : 'warning';
+    const note = [`${ANNOTATION_PREFIX} ${stamp}`, ...issues.map(i => `${i.level === 'error' ? '✗' : '⚠'} ${i.message}`)].join('\n');
+    requests.push(cellRequest(rowIndex, col, {
+      note,
+      userEnteredFormat: { backgroundColor: ANNOTATION_COLORS[level] }
+    }, 'note,userEnteredFormat.backgroundColor'));
+  }
+
+  let cleared = 0;
+  for (const grid of sheet.data || []) {
+    const startRow = grid.startRow || 0;
+    const startColumn = grid.startColumn || 0;
+    (grid.rowData || []).forEach((rowData, r) => {
+      (rowData.values || []).forEach((cell, c) => {
+        const rowIndex = startRow + r;
+        const col = startColumn + c;
+        if (cell && typeof cell.note === 'string' && cell.note.startsWith(ANNOTATION_PREFIX) && !wanted.has(`${rowIndex}:${col}`)) {
+          // An empty cell with these fields clears both the note and the background
+          requests.push(cellRequest(rowIndex, col, {}, 'note,userEnteredFormat.backgroundColor'));
+          cleared++;
+        }
+      });
+    });
+  }
+
+  if (requests.length > 0) {
+    if (debug) {
+      console.error(`[DEBUG] Annotating "${sheetName}" with ${requests.length} cell update(s)`);
+    }
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+  }
+  return { annotated: wanted.size, cleared };
+}
+
+module.exports = {
+  a1Range,
+  createSheetsClient,
+  readSheetRows,
+  listSheets,
+  getSpreadsheetMetadata,
+  ensureSheet,
+  ensureSyncedSheet,
+  ensureErrorSheet,
+  ERROR_STATUS_COLUMNS,
+  updateErrorsSheet,
+  writeErrorsToSheet,
+  readRetryRequests,
+  appendRows,
+  appendSyncedRows,
+  moveRowToSyncedSheet,
+  getSheetId,
+  deleteRows,
+  ensureHeaderRow,
+  writeRowValues,
+  writeRows,
+  clearTab,
+  annotateRows
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Just enough SMTP to hand one plain-text message to a relay: implicit TLS
+// (port 465) or STARTTLS when the server offers it, AUTH PLAIN, one message.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Collect the lines of each reply ("250-first", "250 last") off a socket
+function replyReader(socket) {
+  let buffer = '';
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  function flush() {
+    if (!waiting) return;
+    const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    const current = waiting;
+    if (last !== -1) {
+      const reply = lines.splice(0, last + 1);
+      waiting = null;
+      current.resolve({ code: Number(reply[last].slice(0, 3)), lines: reply.map(line => line.slice(4)) });
+    } else if (failure) {
+      waiting = null;
+      current.reject(failure);
+    }
+  }
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    for (let end = buffer.indexOf('\r\n'); end !== -1; end = buffer.indexOf('\r\n')) {
+      lines.push(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+    }
+    flush();
+  };
+  const onError = (error) => {
+    failure = error;
+    flush();
+  };
+  const onClose = () => {
+    failure = failure || new SmtpError('Connection closed by the SMTP server');
+    flush();
+  };
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      flush();
+    }),
+    // Stop reading before the socket is handed to TLS (STARTTLS)
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false })
+      : net.connect({ host: options.host, port: options.port });
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, options) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false });
+    secure.once('secureConnect', () => {
+      secure.off('error', reject);
+      resolve(secure);
+    });
+    secure.once('error', reject);
+  });
+}
+
+// RFC 2047 encoded-word for non-ASCII header text
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// The message as sent after DATA: headers, then the body in base64 so no
+// line needs dot-stuffing or 8BITMIME
+function formatMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Send one plain-text message.
+// options: host, port (465 with secure, else 587), secure (implicit TLS), user, pass,
+//          from, to (list), subject, text, timeoutMs, rejectUnauthorized (default true)
+// Credentials are only sent over TLS, or to a server on this machine.
+async function sendMail(options) {
+  const secure = Boolean(options.secure);
+  const settings = { ...options, secure, port: Number(options.port) || (secure ? 465 : 587) };
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const to = [].concat(options.to || []).filter(Boolean);
+  if (!settings.host || !options.from || to.length === 0) {
+    throw new SmtpError('sendMail needs a host, a sender and at least one recipient');
+  }
+  const bad = [options.from, ...to].find(address => /[\r\n<>\s]/.test(address));
+  if (bad !== undefined) {
+    throw new SmtpError(`Invalid email address "${bad}"`);
+  }
+
+  let socket = await connect(settings);
+  const watch = (s) => s.setTimeout(timeoutMs, () => s.destroy(new SmtpError(`No answer from ${settings.host}:${settings.port} within ${timeoutMs} ms`)));
+  watch(socket);
+  let reader = replyReader(socket);
+  let encrypted = secure;
+
+  const command = async (line, expected, label) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || line.split(' ')[0]} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220], 'greeting');
+    const helo = `EHLO ${os.hostname() || 'localhost'}`;
+    const ehlo = await command(helo, [250]);
+    if (!encrypted && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, settings);
+      watch(socket);
+      reader = replyReader(socket);
+      encrypted = true;
+      await command(helo, [250]);
+    }
+    if (options.user) {
+      if (!encrypted && !LOOPBACK_HOSTS.includes(settings.host)) {
+        throw new SmtpError(`Refusing to send SMTP credentials to ${settings.host} without TLS`);
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+    await command(`MAIL FROM:<${options.from}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${formatMessage({ from: options.from, to, subject: options.subject || '', text: options.text || '' })}\r\n.`, [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  SmtpError,
+  sendMail
+};
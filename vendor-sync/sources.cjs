@@ -0,0 +1,161 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config.cjs');
+const { createVendorSync } = require('./sync.cjs');
+
+// Several intake sheets in one run, such as one form per campus. A sources file
+// is JSON (VENDOR_SYNC_SOURCES or --sources):
+//
+//   {
+//     "sources": [
+//       {
+//         "name": "KL campus",
+//         "sheetId": "1AbC...",
+//         "tab": "Form responses 1",
+//         "syncedTab": "Synced",
+//         "errorTab": "Errors KL",
+//         "mapping": "mappings/kl.json",
+//         "sandbox": { "sheetId": "1XyZ..." }
+//       }
+//     ]
+//   }
+//
+// Only name and sheetId are required; tabs default as for a single sheet (see
+// resolveSheetConfig) and mapping to the run's mapping. Mapping paths are
+// relative to the sources file. In sandbox mode the "sandbox" values replace the
+// entry's own, and an entry without a sandbox sheetId is an error: sandbox runs
+// never touch production sheets.
+
+const SOURCE_KEYS = ['name', 'sheetId', 'tab', 'syncedTab', 'errorTab', 'mapping', 'sandbox'];
+
+function checkSource(source, index, sandbox, problems) {
+  const where = `sources[${index}]${source && source.name ? ` (${source.name})` : ''}`;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    problems.push(`${where}: must be an object`);
+    return;
+  }
+  for (const key of Object.keys(source)) {
+    if (!SOURCE_KEYS.includes(key)) problems.push(`${where}: unknown key "${key}"`);
+  }
+  if (typeof source.name !== 'string' || !source.name.trim()) problems.push(`${where}: "name" is required`);
+  for (const key of ['sheetId', 'tab', 'syncedTab', 'errorTab', 'mapping']) {
+    if (source[key] !== undefined && (typeof source[key] !== 'string' || !source[key].trim())) {
+      problems.push(`${where}: "${key}" must be a non-empty string`);
+    }
+  }
+  if (source.sandbox !== undefined && (typeof source.sandbox !== 'object' || Array.isArray(source.sandbox) || source.sandbox === null)) {
+    problems.push(`${where}: "sandbox" must be an object`);
+    return;
+  }
+  const effective = sandbox ? { ...source, ...(source.sandbox || {}) } : source;
+  if (sandbox && !(source.sandbox && source.sandbox.sheetId)) {
+    problems.push(`${where}: sandbox mode needs "sandbox": { "sheetId": ... }`);
+  } else if (!effective.sheetId) {
+    problems.push(`${where}: "sheetId" is required`);
+  }
+}
+
+// Read and check a sources file for production or sandbox. Throws ConfigError
+// listing every problem. Returns [{ name, sheetId, sourceSheetName, syncedSheetName, errorSheetName, mapping }].
+function loadSources(filePath, options = {}) {
+  const resolved = path.resolve(filePath);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Could not read sources ${resolved}: ${error.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.sources;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ConfigError(`Invalid sources ${resolved}: expected a non-empty "sources" list`);
+  }
+
+  const sandbox = Boolean(options.sandbox);
+  const problems = [];
+  list.forEach((source, index) => checkSource(source, index, sandbox, problems));
+  const names = list.map(source => source && source.name);
+  names.filter((name, index) => name && names.indexOf(name) !== index)
+    .forEach(name => problems.push(`source name "${name}" is used more than once`));
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid sources ${resolved}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return list.map(source => {
+    const effective = sandbox ? { ...source, ...(source.sandbox || {}) } : source;
+    return {
+      name: source.name,
+      sheetId: effective.sheetId,
+      sourceSheetName: effective.tab,
+      syncedSheetName: effective.syncedTab,
+      errorSheetName: effective.errorTab,
+      mapping: effective.mapping ? path.resolve(path.dirname(resolved), effective.mapping) : undefined
+    };
+  });
+}
+
+// Sync every source in turn with the same options (see createVendorSync). The
+// NetSuite client (token, rate limiter), Sheets client and lookups are shared.
+// A source that cannot be read counts as failed; the others still run.
+// Returns the counts added up, with errors and warnings tagged by source, and
+// `sources` as [{ name, summary }] or [{ name, error }].
+async function syncSources(sources, options = {}) {
+  const shared = { ...options };
+  const total = { successCount: 0, warningCount: 0, skippedCount: 0, errorCount: 0, resolvedCount: 0, errors: [], warnings: [], skipped: [], results: [], sources: [] };
+
+  for (const source of sources) {
+    console.error(`\n${'#'.repeat(60)}\nSource: ${source.name}`);
+    let sync = null;
+    try {
+      sync = createVendorSync({
+        ...shared,
+        sheetId: source.sheetId,
+        sourceSheetName: source.sourceSheetName,
+        syncedSheetName: source.syncedSheetName,
+        errorSheetName: source.errorSheetName,
+        mapping: source.mapping || options.mapping,
+        log: options.log && options.log.child({ source: source.name })
+      });
+      console.error(`Spreadsheet ${sync.sheetId}, tab "${sync.sourceSheetName}"`);
+      const summary = await sync.syncAll();
+      total.sources.push({ name: source.name, summary });
+      total.successCount += summary.successCount;
+      total.warningCount += summary.warningCount || 0;
+      total.skippedCount += summary.skippedCount || 0;
+      total.errorCount += summary.errorCount;
+      total.resolvedCount += summary.resolvedCount || 0;
+      total.errors.push(...summary.errors.map(e => ({ ...e, source: source.name })));
+      total.warnings.push(...(summary.warnings || []).map(w => ({ ...w, source: source.name })));
+      total.results.push(...summary.results.map(r => ({ ...r, source: source.name })));
+      total.skipped.push(...(summary.skipped || []).map(r => ({ ...r, source: source.name })));
+      // Lookups checked (and refreshed) by this run serve the later sources as they are
+      shared.lookups = sync.getLookups();
+    } catch (error) {
+      console.error(`✗ Source ${source.name} failed: ${error.message}`);
+      if (options.log) options.log.error('run', { event: 'fatal', source: source.name, error: error.message });
+      total.sources.push({ name: source.name, error: error.message });
+      total.errorCount++;
+      total.errors.push({ source: source.name, row: null, error: error.message });
+    }
+    // Later sources reuse the clients set up so far
+    if (sync) {
+      shared.netsuite = sync.netsuite;
+      shared.sheets = await sync.getSheets().catch(() => shared.sheets);
+    }
+  }
+
+  console.error(`\n${'='.repeat(60)}`);
+  console.error('All sources:');
+  for (const { name, summary, error } of total.sources) {
+    console.error(error
+      ? `  ✗ ${name}: ${error}`
+      : `  ${summary.errorCount > 0 ? '✗' : '✓'} ${name}: ${summary.successCount} synced, ${summary.errorCount} error(s)`);
+  }
+  return total;
+}
+
+module.exports = {
+  loadSources,
+  syncSources
+};
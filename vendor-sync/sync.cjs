@@ -0,0 +1,1021 @@
+'use strict';
+
+const { resolvePaths, resolveSheetConfig } = require('./config.cjs');
+const { createNetSuiteClient, rejectedReferenceFields } = require('./netsuite.cjs');
+const { RequestError, classifyResponse, classifyError } = require('./http.cjs');
+const {
+  LookupError,
+  loadLookups,
+  reportLookups,
+  checkLookups,
+  describeLookupStatus,
+  resolveLookupMaxAgeHours
+} = require('./lookups.cjs');
+const { fetchLookups } = require('./lookup-fetcher.cjs');
+const { TRANSFORMS, mapSheetRowToNetSuiteVendor, mapSheetRowToContacts } = require('./mapper.cjs');
+const { resolveMapping } = require('./mapping.cjs');
+const { fieldPolicies, describeValue, formatDiff, summariseDiff } = require('./diff.cjs');
+const {
+  ALLOW_DUPLICATE_COLUMN,
+  resolveDuplicateMode,
+  resolveDuplicateThreshold,
+  describeCandidate
+} = require('./duplicates.cjs');
+const { resolveConcurrency, runPool } = require('./throttle.cjs');
+const { rowHash, reached, openJournal } = require('./journal.cjs');
+const { createRunLog, pushOutcome, runOutcome } = require('./run-log.cjs');
+const { createLookupResolver, loadAliases } = require('./resolver.cjs');
+const {
+  a1Range,
+  createSheetsClient,
+  readSheetRows,
+  updateErrorsSheet,
+  readRetryRequests,
+  appendRows,
+  appendSyncedRows,
+  getSpreadsheetMetadata,
+  ensureHeaderRow,
+  writeRowValues,
+  getSheetId,
+  deleteRows,
+  annotateRows
+} = require('./sheets.cjs');
+const { stringifyJsonSafe, extractNetSuiteErrorDetails, sleep } = require('./util.cjs');
+
+// Column appended to the Synced tab with what the sync changed in NetSuite
+const CHANGES_COLUMN = 'Sync_Changes';
+// ...and with the reference fields left off because NetSuite rejected their value
+const WARNINGS_COLUMN = 'Sync_Warnings';
+
+// What happens to a synced row on the source tab:
+//   move    copied to the Synced tab and deleted from the source tab (the default)
+//   status  left in place, with the outcome written to STATUS_COLUMNS on the row;
+//           rows already synced and unchanged since are skipped
+const ROW_MODES = ['move', 'status'];
+const DEFAULT_ROW_MODE = 'move';
+// Sync_Hash holds the row's content hash when it was synced, to tell an edited row from an unchanged one
+const STATUS_COLUMNS = ['Sync_Status', 'NetSuite_ID', 'Synced_At', 'Last_Error', 'Sync_Hash'];
+
+function resolveRowMode(value, env = process.env) {
+  const mode = String(value || env.VENDOR_SYNC_ROW_MODE || DEFAULT_ROW_MODE).trim().toLowerCase();
+  if (!ROW_MODES.includes(mode)) {
+    throw new Error(`Row mode must be one of ${ROW_MODES.join(', ')}, got "${value || env.VENDOR_SYNC_ROW_MODE}"`);
+  }
+  return mode;
+}
+
+// Was the row synced before and not edited since? (status mode)
+function isUpToDate(rowObj, hash) {
+  return String(rowObj.Sync_Status || '').trim().toLowerCase().startsWith('synced') && rowObj.Sync_Hash === hash;
+}
+
+// Status-column values for a row result (status mode)
+function statusValues(result, hash) {
+  if (!result.ok) {
+    return { Sync_Status: 'error', Last_Error: result.error || 'Unknown error' };
+  }
+  const warnings = (result.extra && result.extra[WARNINGS_COLUMN]) || '';
+  return {
+    Sync_Status: warnings ? 'synced with warnings' : 'synced',
+    NetSuite_ID: result.vendorId || '',
+    Synced_At: new Date().toISOString(),
+    Last_Error: warnings,
+    Sync_Hash: hash
+  };
+}
+
+function extractVendorId(res) {
+  if (res.data && res.data.id) {
+    return res.data.id;
+  }
+  if (res.data && res.data.links && res.data.links[0] && res.data.links[0].href) {
+    const match = res.data.links[0].href.match(/\/vendor\/(\d+)/);
+    if (match) return match[1];
+  }
+  // A POST answers 204 with the new record's URL in the Location header
+  const location = res.headers && res.headers.location;
+  if (location) {
+    const match = String(location).match(/\/vendor\/(\d+)/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Values for the Sync_Changes / Sync_Warnings columns of a synced row
+function syncedExtra(result) {
+  let changes = result.diff ? summariseDiff(result.diff) : (result.action === 'create' ? 'created' : '');
+  if (result.duplicates && result.duplicates.length > 0) {
+    changes += `; review possible duplicate of ${result.duplicates.map(describeCandidate).join('; ')}`;
+  }
+  const warnings = (result.dropped || []).length > 0
+    ? `synced with warnings: ${result.dropped.map(d => `dropped ${d.field} "${d.value}"`).join('; ')}`
+    : '';
+  return { [CHANGES_COLUMN]: changes, [WARNINGS_COLUMN]: warnings };
+}
+
+// Turn whatever a failed push threw into the text stored in the Errors sheet
+function describeFailure(error) {
+  const processNetSuiteResponse = (responseData) => {
+    const rawStr = stringifyJsonSafe(responseData);
+    const detailStr = extractNetSuiteErrorDetails(responseData);
+    if (detailStr) {
+      console.error(`[NetSuite Error Details] ${detailStr}`);
+      console.error(`[NetSuite Error Response] ${rawStr}`);
+      return detailStr;
+    }
+    console.error(`[NetSuite Error Response] ${rawStr}`);
+    return rawStr;
+  };
+
+  let responseStr = '';
+  if (error.netSuiteResponse !== undefined) {
+    responseStr = processNetSuiteResponse(error.netSuiteResponse);
+  } else if (error.response && error.response.data) {
+    responseStr = processNetSuiteResponse(error.response.data);
+  }
+  return responseStr;
+}
+
+// Create a vendor sync bound to one spreadsheet, one NetSuite account and one set of lookups.
+//
+// options.sheetId / sourceSheetName / syncedSheetName / errorSheetName
+//                      spreadsheet and tabs; from env (SANDBOX_ values for a sandbox client)
+//                      or the vendor intake sheet otherwise (see resolveSheetConfig)
+// options.netsuite     a client from createNetSuiteClient(), or options to build one
+// options.lookups      tables as returned by loadLookups(); loaded from options.lookupDir when omitted
+// options.sheets       an authenticated googleapis sheets client; built from the service account when omitted
+// options.refreshLookups / strictLookups / lookupMaxAgeHours   see prepareLookups()
+// options.mapping      column mapping object or file (see mapping.cjs); VENDOR_MAPPING_FILE or the default otherwise
+// options.matchThreshold / aliasesFile   fuzzy lookup matching (see resolver.cjs)
+// options.rowMode      'move' or 'status' (see ROW_MODES); VENDOR_SYNC_ROW_MODE or move otherwise
+// options.journalFile  crash-recovery journal (see journal.cjs); VENDOR_SYNC_JOURNAL or a file
+//                      next to the token cache otherwise. options.journal = false turns it off.
+// options.log          a JSON-lines run log from createRunLog() (see run-log.cjs); none by default
+function createVendorSync(options = {}) {
+  const paths = resolvePaths(options.rootDir);
+  const debug = Boolean(options.debug);
+  const netsuite = options.netsuite && typeof options.netsuite.upsertVendor === 'function'
+    ? options.netsuite
+    : createNetSuiteClient({ ...(options.netsuite || {}), debug, dryRun: Boolean(options.dryRun) });
+  const dryRun = options.dryRun !== undefined ? Boolean(options.dryRun) : Boolean(netsuite.config && netsuite.config.dryRun);
+
+  const sandbox = Boolean(netsuite.config && netsuite.config.sandbox);
+
+  const { sheetId, sourceSheetName, syncedSheetName, errorSheetName } = resolveSheetConfig(process.env, {
+    sandbox,
+    sheetId: options.sheetId,
+    sourceSheetName: options.sourceSheetName,
+    syncedSheetName: options.syncedSheetName,
+    errorSheetName: options.errorSheetName
+  });
+  const serviceAccountPath = options.serviceAccountPath || paths.serviceAccount;
+  const lookupDir = options.lookupDir || paths.lookupDir;
+  const refreshLookups = options.refreshLookups !== false;
+  const strictLookups = Boolean(options.strictLookups);
+  const duplicateMode = resolveDuplicateMode(options.duplicateMode);
+  const duplicateThreshold = resolveDuplicateThreshold(options.duplicateThreshold);
+  const concurrency = resolveConcurrency(options.concurrency);
+  const rowMode = resolveRowMode(options.rowMode);
+  const journalFile = options.journal === false
+    ? null
+    : options.journalFile || process.env.VENDOR_SYNC_JOURNAL || (sandbox ? paths.sandboxJournal : paths.journal);
+  const log = options.log || createRunLog();
+
+  let lookups = options.lookups || null;
+  let mapping = null;
+  let resolver = null;
+  let sheets = options.sheets || null;
+  let token = null;
+  let refreshing = null;
+
+  function getLookups() {
+    if (!lookups) {
+      lookups = loadLookups(lookupDir);
+      reportLookups(lookups, { debug });
+    }
+    return lookups;
+  }
+
+  // Built-in aliases plus lookup_aliases.json from the lookup directory
+  function getResolver() {
+    if (!resolver) {
+      resolver = createLookupResolver({
+        aliases: loadAliases({ lookupDir, file: options.aliasesFile }),
+        threshold: options.matchThreshold
+      });
+    }
+    return resolver;
+  }
+
+  function getMapping() {
+    if (!mapping) {
+      mapping = resolveMapping(options.mapping);
+      if (debug) {
+        console.error(`[DEBUG] Column mapping: ${options.mapping && typeof options.mapping === 'object' ? 'custom object' : (options.mapping || process.env.VENDOR_MAPPING_FILE || 'default')}`);
+      }
+    }
+    return mapping;
+  }
+
+  // Check the lookup files before any row is mapped. Missing, empty, unstamped or
+  // stale files are refetched from NetSuite (unless refreshing is off); with
+  // strictLookups the run refuses to start if any are still not usable.
+  async function prepareLookups(prepareOptions = {}) {
+    if (options.lookups) {
+      return getLookups();
+    }
+    const maxAgeHours = resolveLookupMaxAgeHours(options.lookupMaxAgeHours);
+    let problems = checkLookups(lookupDir, maxAgeHours).filter(s => s.state !== 'ok');
+
+    if (problems.length > 0 && refreshLookups && prepareOptions.refresh !== false) {
+      console.error(`Refreshing ${problems.length} lookup file(s) older than ${maxAgeHours}h or unusable...`);
+      await fetchLookups(netsuite, problems.map(p => p.name), { lookupDir });
+      lookups = null;
+      problems = checkLookups(lookupDir, maxAgeHours).filter(s => s.state !== 'ok');
+    }
+
+    if (problems.length > 0) {
+      const lines = problems.map(p => `  - ${describeLookupStatus(p)}`).join('\n');
+      if (strictLookups) {
+        throw new LookupError(`Refusing to start: ${problems.length} lookup file(s) are not usable (--strict-lookups):\n${lines}\nRun "npm run fetch-lookups" and check the NetSuite credentials.`);
+      }
+      console.error(`Warning: continuing with ${problems.length} lookup file(s) that are not up to date; unmatched values will fall back to defaults:\n${lines}`);
+    }
+    return getLookups();
+  }
+
+  async function getSheets() {
+    if (!sheets) {
+      sheets = await createSheetsClient(serviceAccountPath);
+    }
+    return sheets;
+  }
+
+  async function getToken() {
+    if (!token) {
+      token = await netsuite.getValidAccessToken();
+    }
+    return token;
+  }
+
+  // Rows running side by side can all hit the same expired token; only the
+  // first refreshes it, the others pick up the new one
+  function refreshToken(expired) {
+    if (token !== expired) return Promise.resolve(token);
+    if (!refreshing) {
+      refreshing = netsuite.getValidAccessToken({ forceRefresh: true })
+        .then(fresh => { token = fresh; return fresh; })
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  // Print what NetSuite actually stored for the vendor (debug only)
+  async function logSavedVendor(vendorId) {
+    try {
+      await sleep(1000); // Wait a bit for NetSuite to save
+      const verifyRes = await netsuite.getVendor(vendorId, await getToken());
+      if (verifyRes.status >= 200 && verifyRes.status < 300 && verifyRes.data) {
+        if (verifyRes.data.category) {
+          console.error(`[DEBUG] ✓ Saved vendor category: ${JSON.stringify(verifyRes.data.category)}`);
+        } else {
+          console.error('[DEBUG] ✗ Saved vendor category NOT present in response');
+        }
+        const savedAddressBook = verifyRes.data.addressBook;
+        if (savedAddressBook && savedAddressBook.items && savedAddressBook.items[0]) {
+          const savedCountry = savedAddressBook.items[0].addressBookAddress?.country;
+          console.error(`[DEBUG] Saved vendor address book country: ${JSON.stringify(savedCountry)}`);
+        } else {
+          console.error(`[DEBUG] No address book found in saved vendor`);
+        }
+      } else {
+        console.error(`[DEBUG] Could not fetch saved vendor: HTTP ${verifyRes.status}`);
+        if (verifyRes.data) {
+          console.error(`[DEBUG] Error response: ${JSON.stringify(verifyRes.data)}`);
+        }
+      }
+    } catch (err) {
+      console.error(`[DEBUG] Could not verify saved vendor: ${err.message}`);
+    }
+  }
+
+  // Create or update the row's contacts under the vendor. A failed contact is
+  // reported but does not fail the row: the vendor itself is already saved.
+  async function pushContacts(vendorId, contacts) {
+    const results = [];
+    for (const contact of contacts) {
+      const label = contact.email || contact.entityId;
+      try {
+        const used = await getToken();
+        let res = await netsuite.upsertContact(vendorId, contact, used);
+        if (res.status === 401) {
+          res = await netsuite.upsertContact(vendorId, contact, await refreshToken(used));
+        }
+        if (res.status < 200 || res.status >= 300) {
+          const detail = extractNetSuiteErrorDetails(res.data) || stringifyJsonSafe(res.data);
+          throw new Error(`HTTP ${res.status} - ${detail}`);
+        }
+        const action = res.data && res.data.action;
+        if (!dryRun) console.error(`  Contact ${label}: ${action === 'update' ? 'updated' : 'created'}`);
+        results.push({ contact: label, ok: true, action });
+      } catch (error) {
+        console.error(`  ⚠ Contact ${label} could not be saved: ${error.message}`);
+        results.push({ contact: label, ok: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Map one sheet row and push it to NetSuite. Throws on failure, including
+  // rows with validation errors (see validateRow), which never reach NetSuite.
+  async function pushRow(rowObj) {
+    const { payload: vendorPayload, contacts, errors, warnings, country, rule } = validateRow(rowObj);
+    if (rule) {
+      console.error(`  Foreign vendor rule "${rule}" applied (country ${country})`);
+    }
+
+    if (errors.length > 0) {
+      const blocked = new Error(errors.map(e => e.message).join('; '));
+      blocked.validationIssues = errors;
+      blocked.kind = 'validation';
+      throw blocked;
+    }
+    if (debug && warnings.length > 0) {
+      warnings.forEach(w => console.error(`[DEBUG] Warning (${w.column}): ${w.message}`));
+    }
+
+    if (debug) {
+      console.error(`[DEBUG] Full vendor payload: ${JSON.stringify(vendorPayload, null, 2)}`);
+      if (vendorPayload.addressBook) {
+        console.error(`[DEBUG] Address book country: ${JSON.stringify(vendorPayload.addressBook.items[0].addressBookAddress.country)}`);
+      }
+      if (vendorPayload.category) {
+        console.error(`[DEBUG] Category: ${JSON.stringify(vendorPayload.category)}`);
+      }
+    }
+
+    const upsertOptions = {
+      ...fieldPolicies(getMapping()),
+      duplicates: {
+        mode: duplicateMode,
+        threshold: duplicateThreshold,
+        allow: rowObj[ALLOW_DUPLICATE_COLUMN] !== undefined && TRANSFORMS.boolean(rowObj[ALLOW_DUPLICATE_COLUMN])
+      }
+    };
+
+    // Send the vendor, once more with a fresh token if it expired
+    async function upsert(payload, retryWithoutRefs, fieldsToRemove) {
+      const used = await getToken();
+      const res = await netsuite.upsertVendor(payload, used, retryWithoutRefs, fieldsToRemove, upsertOptions);
+      if (res.status !== 401) return res;
+      console.error('Token expired, refreshing...');
+      const retried = await netsuite.upsertVendor(payload, await refreshToken(used), retryWithoutRefs, fieldsToRemove, upsertOptions);
+      if (retried.status === 401) {
+        throw new RequestError('Authentication failed after token refresh', { kind: 'auth', status: 401 });
+      }
+      return retried;
+    }
+
+    let res = await upsert(vendorPayload, false, []);
+
+    if (debug && res.data) {
+      console.error(`[DEBUG] NetSuite response status: ${res.status}`);
+      if (res.status >= 200 && res.status < 300) {
+        console.error(`[DEBUG] Vendor created/updated. Response: ${JSON.stringify(res.data, null, 2).substring(0, 500)}`);
+      } else if (res.status >= 400) {
+        console.error(`[DEBUG] NetSuite error response: ${JSON.stringify(res.data, null, 2)}`);
+      }
+    }
+
+    // One bad reference (say a category that no longer exists) should not keep
+    // the vendor out of NetSuite: save it without the rejected fields, which
+    // Finance then fixes in NetSuite, and report the row as synced with warnings
+    const dropped = [];
+    while (res.status >= 400 && classifyResponse(res) === 'reference-not-found') {
+      const fields = rejectedReferenceFields(res.data)
+        .filter(field => vendorPayload[field] !== undefined && !dropped.some(d => d.field === field));
+      if (fields.length === 0) break;
+      for (const field of fields) {
+        const spec = (getMapping().fields || {})[field] || {};
+        const value = describeValue(vendorPayload[field]);
+        dropped.push({ field, value, message: `${spec.label || field} "${value}" (${field}) rejected by NetSuite; left off the vendor` });
+      }
+      console.error(`  ⚠ NetSuite rejected ${fields.join(', ')}; retrying without ${fields.length === 1 ? 'it' : 'them'}`);
+      res = await upsert({ ...vendorPayload }, true, dropped.map(d => d.field));
+    }
+
+    const duplicates = res.duplicates || [];
+    if (res.data && res.data.action === 'duplicate') {
+      const strong = duplicates.filter(c => c.score >= duplicateThreshold);
+      const blocked = new Error(`Possible duplicate of existing vendor ${strong.map(describeCandidate).join('; ')}; not created. ` +
+        `Set ${ALLOW_DUPLICATE_COLUMN} to yes once reviewed to create it anyway`);
+      blocked.duplicates = duplicates;
+      blocked.kind = 'validation';
+      throw blocked;
+    }
+
+    if (res.status < 200 || res.status >= 300) {
+      const responseData = res.data;
+      const errorMsg = typeof responseData === 'string' ? responseData : JSON.stringify(responseData);
+      const netSuiteError = new Error(`NetSuite API error: HTTP ${res.status} - ${errorMsg}`);
+      netSuiteError.netSuiteResponse = responseData;
+      netSuiteError.netSuiteStatus = res.status;
+      netSuiteError.kind = classifyResponse(res);
+      throw netSuiteError;
+    }
+
+    const vendorId = extractVendorId(res);
+    const diff = res.diff || null;
+    if (duplicates.length > 0) {
+      console.error(`  ⚠ Review: possible duplicate of ${duplicates.map(describeCandidate).join('; ')}`);
+    }
+    if (diff && !dryRun) {
+      // Dry runs print the diff in upsertVendor
+      const applied = diff.filter(d => d.applied);
+      if (applied.length === 0) {
+        console.error('  No changes; vendor left as is');
+      } else {
+        console.error(`  Updated ${applied.length} field(s):`);
+        formatDiff(diff).forEach(line => console.error(`    ${line}`));
+      }
+    }
+    if (debug) {
+      if (vendorId) {
+        console.error(`[DEBUG] Extracted vendor ID: ${vendorId}`);
+        await logSavedVendor(vendorId);
+      } else {
+        console.error(`[DEBUG] Could not extract vendor ID from response`);
+      }
+    }
+
+    let contactResults = [];
+    if (contacts.length > 0) {
+      let contactVendorId = vendorId;
+      if (!contactVendorId && !dryRun) {
+        const found = await netsuite.findVendorByEntityId(vendorPayload.entityId, await getToken());
+        contactVendorId = found && found.id;
+      }
+      if (contactVendorId || dryRun) {
+        contactResults = await pushContacts(contactVendorId, contacts);
+      } else {
+        console.error(`  ⚠ Vendor id unknown after save; ${contacts.length} contact(s) not linked`);
+        contactResults = contacts.map(c => ({ contact: c.email || c.entityId, ok: false, error: 'vendor id unknown' }));
+      }
+    }
+    return { vendorId, action: res.data && res.data.action, rule, diff, duplicates, dropped, contacts: contactResults, response: res };
+  }
+
+  // Push a single row object (header -> value) to NetSuite.
+  // Never throws for row-level problems; the outcome is in the returned result.
+  async function syncRow(rowObj, rowOptions = {}) {
+    const rowKey = rowOptions.rowKey || rowObj.Key || rowObj.Code || 'Row';
+    try {
+      const pushed = await pushRow(rowObj);
+      if (pushed.dropped.length > 0) {
+        console.error(`⚠ Synced ${rowKey} with warnings:`);
+        pushed.dropped.forEach(d => console.error(`    ${d.message}`));
+      } else {
+        console.error(`✓ Successfully synced ${rowKey}`);
+      }
+      return {
+        rowKey,
+        ok: true,
+        vendorId: pushed.vendorId,
+        action: pushed.action,
+        rule: pushed.rule,
+        diff: pushed.diff,
+        duplicates: pushed.duplicates,
+        dropped: pushed.dropped,
+        contacts: pushed.contacts,
+        data: rowObj
+      };
+    } catch (error) {
+      const errorMsg = error.message || String(error);
+      const { kind, retryable } = classifyError(error);
+      console.error(`✗ Error processing ${rowKey} (${kind}${retryable ? ', retry may help' : ''}): ${errorMsg}`);
+      const responseStr = describeFailure(error) || errorMsg;
+      return {
+        rowKey,
+        ok: false,
+        error: errorMsg,
+        errorKind: kind,
+        retryable,
+        response: responseStr,
+        netSuiteResponse: error.netSuiteResponse !== undefined ? error.netSuiteResponse : (error.response && error.response.data),
+        status: error.netSuiteStatus || error.status,
+        duplicates: error.duplicates,
+        data: rowObj
+      };
+    }
+  }
+
+  // Find rows read at the start of the run on the tab as it is now: people may
+  // have inserted, deleted or sorted rows since. `rows` is [{ index, hash, key, rowKey }];
+  // a row is recognised by its content hash, at its old index first. Returns
+  //   found    rows still there, with `index` updated (and `movedFrom`) when they moved
+  //   changed  rows whose Key/Code is still there but whose content was edited
+  //   missing  rows that are gone
+  //   rowCount rows on the tab now, header included
+  async function locateRows(sheetsClient, rows) {
+    const { rows: values, records } = await readSheetRows(sheetsClient, sheetId, sourceSheetName);
+    const current = records.map(({ index, data }) => ({ index, hash: rowHash(data, STATUS_COLUMNS), key: data.Key || data.Code || '' }));
+    const byIndex = new Map(current.map(row => [row.index, row]));
+    const claimed = new Set();
+    const found = [];
+    const changed = [];
+    const missing = [];
+
+    // Rows still in place first, so an identical row that moved cannot take their spot
+    const elsewhere = [];
+    for (const row of rows) {
+      const same = byIndex.get(row.index);
+      if (same && same.hash === row.hash && !claimed.has(same.index)) {
+        claimed.add(same.index);
+        found.push(row);
+      } else {
+        elsewhere.push(row);
+      }
+    }
+    for (const row of elsewhere) {
+      const moved = current.find(r => r.hash === row.hash && !claimed.has(r.index));
+      if (moved) {
+        claimed.add(moved.index);
+        found.push({ ...row, index: moved.index, movedFrom: row.index });
+      } else if (row.key && current.some(r => r.key === row.key)) {
+        changed.push(row);
+      } else {
+        missing.push(row);
+      }
+    }
+    for (const row of found.filter(r => r.movedFrom !== undefined)) {
+      console.error(`  ↻ ${row.rowKey} moved from sheet row ${row.movedFrom + 1} to ${row.index + 1}`);
+    }
+    for (const row of changed) {
+      console.error(`  ⚠ ${row.rowKey} was edited on "${sourceSheetName}" after it was pushed; left as is`);
+    }
+    for (const row of missing) {
+      console.error(`  ⚠ ${row.rowKey} is no longer on "${sourceSheetName}"`);
+    }
+    return { found, changed, missing, rowCount: values.length };
+  }
+
+  // Delete successfully synced rows from the source tab. Each row is located
+  // again right before (see locateRows): moved rows are deleted where they are
+  // now, edited ones are kept. Returns the rows no longer on the tab afterwards,
+  // or null when nothing could be deleted.
+  async function deleteSyncedRows(sheetsClient, rowsToDelete, metadata) {
+    console.error(`\nDeleting ${rowsToDelete.length} synced rows from source sheet...`);
+
+    const sourceSheetId = await getSheetId(sheetsClient, sheetId, sourceSheetName, { debug, metadata });
+    // sheetId can be 0 (first sheet), so check for null/undefined specifically
+    if (sourceSheetId === null || sourceSheetId === undefined) {
+      console.error(`Error: Could not find sheet ID for "${sourceSheetName}"`);
+      console.error(`  Skipping row deletion - cannot proceed without sheet ID`);
+      return null;
+    }
+    console.error(`  Sheet ID: ${sourceSheetId}`);
+
+    const { found, missing, rowCount } = await locateRows(sheetsClient, rowsToDelete);
+    console.error(`  Rows to delete (array indices): ${found.map(r => r.index).join(', ') || 'none'}`);
+    if (found.length === 0) return missing;
+
+    const deletedCount = await deleteRows(sheetsClient, sheetId, sourceSheetId, found.map(r => r.index), { debug });
+    if (deletedCount !== found.length) {
+      console.error(`  ⚠ Only deleted ${deletedCount} out of ${found.length} rows`);
+      return null;
+    }
+    console.error(`  ✓ Successfully deleted all ${deletedCount} rows from source sheet`);
+
+    // Verify deletion by reading the sheet again
+    try {
+      const verifyResponse = await sheetsClient.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: a1Range(sourceSheetName, 'A:ZZ'),
+      });
+      const remainingRows = (verifyResponse.data.values || []).length;
+      const expectedRows = rowCount - deletedCount; // Row count just before deleting minus deleted
+      console.error(`  Verification: Sheet now has ${remainingRows} rows (expected: ${expectedRows})`);
+      if (remainingRows !== expectedRows) {
+        console.error(`  ⚠ Warning: Row count mismatch! Expected ${expectedRows} but found ${remainingRows}`);
+      }
+    } catch (verifyError) {
+      console.error(`  ⚠ Could not verify deletion: ${verifyError.message}`);
+    }
+    return [...found, ...missing];
+  }
+
+  // Status mode: write each row's outcome to its status columns in one batch,
+  // adding the columns to the source tab first when missing
+  // (rows are located again first, see locateRows; edited rows are left alone)
+  async function markSourceRows(sheetsClient, headers, marks, journal) {
+    if (marks.length === 0) return;
+    if (dryRun) {
+      console.error(`\n[DRY-RUN] Would write the sync status of ${marks.length} row(s) on "${sourceSheetName}"`);
+      return;
+    }
+    try {
+      const { found } = await locateRows(sheetsClient, marks.map(m => ({ ...m, index: m.rowIndex })));
+      const located = found.map(m => ({ ...m, rowIndex: m.index }));
+      const headerRow = await ensureHeaderRow(sheetsClient, sheetId, sourceSheetName, headers, STATUS_COLUMNS);
+      const started = Date.now();
+      const cells = await writeRowValues(sheetsClient, sheetId, sourceSheetName, headerRow, located);
+      console.error(`\nWrote the sync status of ${located.length} row(s) on "${sourceSheetName}" (${cells} cell(s))`);
+      log.info('mark', { rows: located.length, durationMs: Date.now() - started });
+      if (journal) {
+        located.filter(m => m.pushed).forEach(m => journal.record(m.hash, 'marked'));
+      }
+    } catch (error) {
+      console.error(`  ✗ Could not write the sync status on "${sourceSheetName}": ${error.message}`);
+      log.error('mark', { rows: marks.length, error: error.message });
+    }
+  }
+
+  // Put rows whose Retry box is ticked on the Errors tab back on the source tab.
+  // A row still on the tab (same Key/Code, or for rows without one the same
+  // values) keeps its data, which may hold fixes made since the failure; in
+  // status mode it is marked "requeued" so it is not skipped as unchanged. A row
+  // that is gone is added back with the values on the Errors tab. A row without
+  // Key/Code that is not found may have been edited, so it is not added back.
+  // The entries become "requeued" and the run then pushes the rows as usual.
+  async function requeueErrors(sheetsClient, metadata) {
+    const { headerRow: errorHeaderRow, requests } = await readRetryRequests(sheetsClient, sheetId, errorSheetName, { metadata });
+    if (requests.length === 0) return;
+    const keys = requests.map(r => r.key).join(', ');
+    if (dryRun) {
+      console.error(`[DRY-RUN] Would re-queue ${requests.length} row(s) ticked for retry on "${errorSheetName}": ${keys}`);
+      return;
+    }
+
+    const { headers, records } = await readSheetRows(sheetsClient, sheetId, sourceSheetName);
+    if (headers.length === 0) {
+      console.error(`  ⚠ "${sourceSheetName}" has no header row; ${requests.length} row(s) ticked for retry left on "${errorSheetName}"`);
+      return;
+    }
+    const updates = [];
+    const appended = [];
+    const requeued = [];
+    const refused = [];
+    for (const request of requests) {
+      const values = {};
+      headers.filter(h => request.data[h] !== undefined && !STATUS_COLUMNS.includes(h)).forEach(h => { values[h] = request.data[h]; });
+      const code = values.Key || values.Code || '';
+      const hash = rowHash(values, STATUS_COLUMNS);
+      const existing = code
+        ? records.find(r => (r.data.Key || r.data.Code) === code)
+        : records.find(r => !(r.data.Key || r.data.Code) && rowHash(r.data, STATUS_COLUMNS) === hash);
+      if (existing) {
+        if (headers.includes('Sync_Status')) updates.push({ rowIndex: existing.index, values: { Sync_Status: 'requeued' } });
+      } else if (code) {
+        appended.push(headers.map(h => values[h] || ''));
+      } else {
+        refused.push(request);
+        continue;
+      }
+      requeued.push(request);
+    }
+    await writeRowValues(sheetsClient, sheetId, sourceSheetName, headers, updates);
+    await appendRows(sheetsClient, sheetId, sourceSheetName, appended);
+    await writeRowValues(sheetsClient, sheetId, errorSheetName, errorHeaderRow, [
+      ...requeued.map(r => ({ rowIndex: r.index, values: { Error_Status: 'requeued', Retry: false } })),
+      ...refused.map(r => ({ rowIndex: r.index, values: { Retry: false } }))
+    ]);
+    if (refused.length > 0) {
+      console.error(`  ⚠ ${refused.length} row(s) without Key/Code ticked for retry were not found on "${sourceSheetName}" and were not added back ` +
+        `(they may have been edited there): ${refused.map(r => r.key).join(', ')}`);
+    }
+    if (requeued.length > 0) {
+      console.error(`↻ Re-queued ${requeued.length} row(s) from "${errorSheetName}" (${requeued.length - appended.length} still on "${sourceSheetName}", ${appended.length} added back): ${requeued.map(r => r.key).join(', ')}`);
+    }
+    log.info('requeue', { rows: requeued.length, rowKeys: requeued.map(r => r.key), refused: refused.map(r => r.key) });
+  }
+
+  // Push every row of the source tab, move successes to Synced and log failures to Errors
+  async function syncAll() {
+    const runStarted = Date.now();
+    log.info('run', { event: 'start', spreadsheet: sheetId, tab: sourceSheetName, rowMode, sandbox, dryRun });
+    // Fail on a broken mapping or alias file before touching the sheet or NetSuite
+    getMapping();
+    getResolver();
+    const sheetsClient = await getSheets();
+    await getToken();
+    const lookupsStarted = Date.now();
+    await prepareLookups();
+    log.info('lookups', { durationMs: Date.now() - lookupsStarted });
+
+    // Tab ids are read once for the Errors, Synced and source tabs
+    const metadata = await getSpreadsheetMetadata(sheetsClient, sheetId);
+    try {
+      await requeueErrors(sheetsClient, metadata);
+    } catch (error) {
+      console.error(`  ✗ Could not re-queue rows ticked for retry on "${errorSheetName}": ${error.message}`);
+      log.error('requeue', { error: error.message });
+    }
+
+    const { headers, rows, records } = await readSheetRows(sheetsClient, sheetId, sourceSheetName);
+    const summary = { successCount: 0, warningCount: 0, skippedCount: 0, errorCount: 0, resolvedCount: 0, errors: [], warnings: [], skipped: [], results: [] };
+
+    if (rows.length === 0) {
+      console.error('No data found in the sheet.');
+      log.info('run', { event: 'end', outcome: runOutcome(summary), rows: 0, durationMs: Date.now() - runStarted });
+      return summary;
+    }
+    log.info('read', { rows: rows.length - 1 });
+
+    console.error(`Found ${headers.length} columns: ${headers.join(', ')}`);
+    console.error(`Found ${rows.length - 1} data rows to process`);
+
+    const rowsToDelete = []; // Collect successful rows to delete
+    const toMove = []; // ...and what goes to the Synced sheet for them, written in one go
+    const marks = []; // Status mode: what to write on each row instead
+
+    // Skip empty rows
+    const filled = records.filter(({ data }) => Object.values(data).some(val => val !== ''));
+    const hashes = new Map(filled.map(({ index, data }) => [index, rowHash(data, STATUS_COLUMNS)]));
+    // What locateRows needs to find a row again before deleting or marking it
+    const identity = (index, rowObj) => ({
+      index,
+      hash: hashes.get(index),
+      key: rowObj.Key || rowObj.Code || '',
+      rowKey: rowObj.Key || rowObj.Code || `Row_${index}`
+    });
+
+    // Status mode: skip rows synced before and unchanged since
+    const work = rowMode === 'status'
+      ? filled.filter(({ index, data }) => !isUpToDate(data, hashes.get(index)))
+      : filled;
+    summary.skipped = filled.filter(record => !work.includes(record))
+      .map(({ index, data }) => ({ row: data.Key || data.Code || `Row_${index}`, rowIndex: index }));
+    summary.skippedCount = summary.skipped.length;
+    if (summary.skippedCount > 0) {
+      console.error(`Skipping ${summary.skippedCount} row(s) already synced and unchanged`);
+      summary.skipped.forEach(s => log.info('skip', { rowKey: s.row, sheetRow: s.rowIndex + 1 }));
+    }
+    if (concurrency > 1 && work.length > 1) {
+      console.error(`Pushing up to ${concurrency} rows at a time`);
+    }
+
+    const journal = journalFile ? openJournal(journalFile, { scope: `${sheetId}!${sourceSheetName}`, dryRun }) : null;
+
+    // NetSuite work runs in parallel; the sheet is updated afterwards in row order
+    const results = await runPool(work, concurrency, async ({ index, data: rowObj }) => {
+      const rowKey = rowObj.Key || rowObj.Code || `Row_${index}`;
+      const hash = hashes.get(index);
+      const entry = journal && journal.get(hash);
+      if (reached(entry, 'pushed')) {
+        // An earlier run pushed this row and stopped before finishing the sheet steps
+        console.error(`\n↻ ${rowKey} (row ${index}) already pushed${entry.vendorId ? ` as vendor ${entry.vendorId}` : ''} by an earlier run; finishing the sheet steps`);
+        log.info('push', { rowKey, sheetRow: index + 1, outcome: 'resumed', vendorId: entry.vendorId || null, durationMs: 0 });
+        return { rowKey, ok: true, resumed: true, stage: entry.stage, vendorId: entry.vendorId, action: entry.action, extra: entry.extra, data: rowObj, rowIndex: index };
+      }
+      console.error(`\nProcessing ${rowKey} (row ${index})...`);
+      const started = Date.now();
+      const result = await syncRow(rowObj, { rowKey });
+      result.rowIndex = index;
+      logPush(result, Date.now() - started);
+      if (result.ok && journal) {
+        result.extra = syncedExtra(result);
+        journal.record(hash, 'pushed', { rowKey, vendorId: result.vendorId || null, action: result.action || null, extra: result.extra, data: rowObj });
+      }
+      return result;
+    });
+
+    for (const result of results) {
+      const { rowKey, rowIndex: index, data: rowObj } = result;
+      summary.results.push(result);
+
+      if (result.resumed) {
+        summary.successCount++;
+        if (rowMode === 'status') {
+          marks.push({ ...identity(index, rowObj), rowIndex: index, pushed: true, values: statusValues(result, hashes.get(index)) });
+        } else if (result.stage === 'copied') {
+          rowsToDelete.push(identity(index, rowObj));
+        } else {
+          toMove.push({ index, rowKey, rowData: rowObj, extra: result.extra || {} });
+        }
+        continue;
+      }
+
+      if (!result.ok) {
+        summary.errorCount++;
+        summary.errors.push({
+          row: rowKey,
+          key: rowObj.Key || rowObj.Code || '',
+          error: result.error,
+          kind: result.errorKind,
+          retryable: result.retryable,
+          status: result.status,
+          data: rowObj,
+          response: result.response,
+          netSuiteResponse: result.netSuiteResponse
+        });
+        if (rowMode === 'status') marks.push({ ...identity(index, rowObj), rowIndex: index, values: statusValues(result) });
+        continue;
+      }
+
+      summary.successCount++;
+      if (result.dropped && result.dropped.length > 0) {
+        summary.warningCount++;
+        summary.warnings.push({ row: rowKey, vendorId: result.vendorId, dropped: result.dropped });
+      }
+
+      // Queue the row for the Synced sheet, or its status in status mode
+      if (rowMode === 'status') {
+        if (!result.extra) result.extra = syncedExtra(result);
+        marks.push({ ...identity(index, rowObj), rowIndex: index, pushed: true, values: statusValues(result, hashes.get(index)) });
+      } else if (!dryRun) {
+        toMove.push({ index, rowKey, rowData: rowObj, extra: result.extra || syncedExtra(result) });
+      } else {
+        console.error(`  [DRY-RUN] Would move ${rowKey} to "${syncedSheetName}" sheet`);
+        rowsToDelete.push(identity(index, rowObj)); // Still track for dry-run logging
+      }
+    }
+
+    // Journal entries whose row is no longer on the tab. Copied ones were deleted
+    // before the run that deleted them could say so; pushed ones were removed or
+    // edited by hand before reaching Synced, and are copied from the journal
+    // unless a row with the same key is still there. A row without Key/Code is
+    // only known by its content, so an edited one cannot be told from a deleted
+    // one: its entry is dropped rather than risk a Synced copy of a row this run
+    // pushes again. In status mode there is no Synced copy to make up for.
+    const finished = [];
+    if (journal && !dryRun) {
+      const present = new Set(hashes.values());
+      const keys = new Set(filled.map(({ data }) => data.Key || data.Code).filter(Boolean));
+      for (const entry of journal.pending()) {
+        if (present.has(entry.hash)) continue;
+        const key = entry.data && (entry.data.Key || entry.data.Code);
+        if (rowMode === 'move' && entry.stage === 'pushed' && key && !keys.has(key)) {
+          console.error(`↻ ${entry.rowKey} was pushed by an earlier run but is no longer on "${sourceSheetName}"; copying it to "${syncedSheetName}" from the journal`);
+          toMove.push({ hash: entry.hash, rowKey: entry.rowKey, rowData: entry.data, extra: entry.extra || {} });
+          continue;
+        }
+        if (rowMode === 'move' && entry.stage === 'pushed' && entry.data && !key) {
+          console.error(`  ⚠ ${entry.rowKey} (no Key/Code) was pushed by an earlier run${entry.vendorId ? ` as vendor ${entry.vendorId}` : ''} but is no longer on "${sourceSheetName}" as it was; not copied to "${syncedSheetName}"`);
+        }
+        finished.push(entry.hash);
+      }
+    }
+    finished.forEach(hash => journal.record(hash, rowMode === 'status' ? 'marked' : 'deleted'));
+
+    if (rowMode === 'status') {
+      await markSourceRows(sheetsClient, headers, marks, journal);
+    }
+
+    // Copy every synced row to Synced in one append; rows are only deleted once that worked
+    if (toMove.length > 0) {
+      const copyStarted = Date.now();
+      const moved = await appendSyncedRows(sheetsClient, sheetId, headers, toMove, { sheetName: syncedSheetName, metadata });
+      log[moved ? 'info' : 'error']('copy', { rows: toMove.length, rowKeys: toMove.map(m => m.rowKey), ok: moved, durationMs: Date.now() - copyStarted });
+      if (moved) {
+        console.error(`\nMoved ${toMove.length} row(s) to "${syncedSheetName}" sheet: ${toMove.map(m => m.rowKey).join(', ')}`);
+        rowsToDelete.push(...toMove.filter(m => m.index !== undefined).map(m => identity(m.index, m.rowData)));
+        if (journal) {
+          toMove.forEach(m => journal.record(m.hash || hashes.get(m.index), m.index === undefined ? 'deleted' : 'copied'));
+        }
+        if (debug) {
+          console.error(`  [DEBUG] Added row indices ${rowsToDelete.map(r => r.index).join(', ')} to deletion queue`);
+        }
+      } else {
+        console.error(`  Warning: Failed to move ${toMove.length} row(s) to "${syncedSheetName}" sheet, will not delete them from source`);
+      }
+    }
+
+    if (!dryRun && rowsToDelete.length > 0) {
+      const deleteStarted = Date.now();
+      const gone = await deleteSyncedRows(sheetsClient, rowsToDelete, metadata);
+      log[gone ? 'info' : 'error']('delete', { rows: rowsToDelete.length, deleted: gone ? gone.length : 0, durationMs: Date.now() - deleteStarted });
+      if (gone && journal) {
+        gone.forEach(row => journal.record(row.hash, 'deleted'));
+      }
+    } else if (dryRun && rowsToDelete.length > 0) {
+      console.error(`\n[DRY-RUN] Would delete ${rowsToDelete.length} rows from source sheet`);
+      console.error(`  Rows: ${rowsToDelete.map(r => r.index).join(', ')}`);
+    } else if (!dryRun && rowsToDelete.length === 0 && rowMode === 'move') {
+      console.error(`\nNo rows to delete (none were successfully synced and moved)`);
+    }
+
+    // Log errors to the Errors sheet and resolve the entries of rows that synced now
+    const resolved = summary.results.filter(r => r.ok).map(r => r.data.Key || r.data.Code).filter(Boolean);
+    if (!dryRun && (summary.errors.length > 0 || resolved.length > 0)) {
+      if (summary.errors.length > 0) console.error(`\nWriting ${summary.errors.length} error(s) to "${errorSheetName}" sheet...`);
+      const errorsStarted = Date.now();
+      const counts = await updateErrorsSheet(sheetsClient, sheetId, headers, { failed: summary.errors, resolved }, { sheetName: errorSheetName, debug, metadata });
+      summary.resolvedCount = counts.resolved;
+      log.info('errors-sheet', { ...counts, durationMs: Date.now() - errorsStarted });
+    } else if (dryRun && summary.errors.length > 0) {
+      console.error(`\n[DRY-RUN] Would write ${summary.errors.length} error(s) to "${errorSheetName}" sheet`);
+    }
+
+    printSummary(summary);
+    log.info('run', {
+      event: 'end',
+      outcome: runOutcome(summary),
+      synced: summary.successCount,
+      warned: summary.warningCount,
+      skipped: summary.skippedCount,
+      failed: summary.errorCount,
+      resolved: summary.resolvedCount,
+      durationMs: Date.now() - runStarted
+    });
+    return summary;
+  }
+
+  // One "push" line per row pushed: error for a failure, warn when fields were dropped
+  function logPush(result, durationMs) {
+    const fields = { rowKey: result.rowKey, sheetRow: result.rowIndex + 1, durationMs };
+    if (!result.ok) {
+      log.error('push', { ...fields, outcome: 'failed', error: result.error, kind: result.errorKind, retryable: result.retryable, status: result.status });
+      return;
+    }
+    const level = result.dropped && result.dropped.length > 0 ? 'warn' : 'info';
+    log[level]('push', {
+      ...fields,
+      outcome: pushOutcome(result),
+      vendorId: result.vendorId || null,
+      dropped: level === 'warn' ? result.dropped.map(d => d.field) : undefined
+    });
+  }
+
+  // Map one row offline and collect every problem the mapper ran into
+  function validateRow(rowObj) {
+    const issues = [];
+    const details = {};
+    const mapOptions = { debug, issues, details, mapping: getMapping(), resolver: getResolver() };
+    const payload = mapSheetRowToNetSuiteVendor(rowObj, getLookups(), mapOptions);
+    const contacts = mapSheetRowToContacts(rowObj, getLookups(), mapOptions);
+    const errors = issues.filter(i => i.level === 'error');
+    const warnings = issues.filter(i => i.level !== 'error');
+    return { ok: errors.length === 0, errors, warnings, issues, payload, contacts, country: details.country, rule: details.rule };
+  }
+
+  // Map every row offline and report errors (row would be rejected or land with
+  // the wrong value) and warnings (a default or name-only reference was used).
+  // No NetSuite calls. With { annotate: true } the issues are also written to the
+  // source tab as cell notes.
+  async function validateAll(validateOptions = {}) {
+    getMapping();
+    getResolver();
+    const sheetsClient = await getSheets();
+    await prepareLookups({ refresh: false });
+    const { headers, records } = await readSheetRows(sheetsClient, sheetId, sourceSheetName);
+    const results = [];
+    for (const { index, data: rowObj } of records) {
+      if (!Object.values(rowObj).some(val => val !== '')) {
+        continue;
+      }
+      const rowKey = rowObj.Key || rowObj.Code || `Row_${index}`;
+      results.push({ rowKey, rowIndex: index, ...validateRow(rowObj) });
+    }
+
+    if (validateOptions.annotate) {
+      const annotation = await annotateRows(sheetsClient, sheetId, sourceSheetName, headers,
+        results.map(r => ({ rowIndex: r.rowIndex, issues: r.issues })), { debug });
+      console.error(`Annotated ${annotation.annotated} cell(s) on "${sourceSheetName}"${annotation.cleared ? `, cleared ${annotation.cleared} old note(s)` : ''}`);
+    }
+    return { headers, results };
+  }
+
+  return {
+    netsuite,
+    sheetId,
+    sourceSheetName,
+    getLookups,
+    getMapping,
+    prepareLookups,
+    getSheets,
+    syncRow,
+    syncAll,
+    validateRow,
+    validateAll
+  };
+}
+
+function printSummary(summary) {
+  console.error(`\n${'='.repeat(60)}`);
+  console.error(`Summary:`);
+  console.error(`  Successfully synced: ${summary.successCount}`);
+  if (summary.warningCount) console.error(`  Synced with warnings: ${summary.warningCount}`);
+  if (summary.skippedCount) console.error(`  Skipped (already synced, unchanged): ${summary.skippedCount}`);
+  console.error(`  Errors: ${summary.errorCount}`);
+  if (summary.resolvedCount) console.error(`  Earlier errors resolved: ${summary.resolvedCount}`);
+  if (summary.warnings && summary.warnings.length > 0) {
+    console.error(`\nWarnings (fix these references in NetSuite):`);
+    summary.warnings.forEach(w => {
+      console.error(`  - ${w.row}${w.vendorId ? ` (vendor ${w.vendorId})` : ''}: ${w.dropped.map(d => `${d.field} "${d.value}"`).join(', ')}`);
+    });
+  }
+  if (summary.errors.length > 0) {
+    console.error(`\nErrors:`);
+    summary.errors.forEach(e => {
+      console.error(`  - ${e.row}${e.kind ? ` [${e.kind}]` : ''}: ${e.error}`);
+    });
+  }
+}
+
+module.exports = {
+  ROW_MODES,
+  STATUS_COLUMNS,
+  resolveRowMode,
+  createVendorSync,
+  extractVendorId
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fieldPolicies, describeValue, diffVendor, formatDiff, summariseDiff } = require('../diff.cjs');
+
+const CURRENT = {
+  companyName: 'Acme Sdn Bhd',
+  email: 'ap@acme.my',
+  phone: '',
+  currency: { id: '1', refName: 'MYR' },
+  isInactive: false
+};
+
+test('fieldPolicies reads per-field policies and the default', () => {
+  const mapping = {
+    defaultPolicy: 'fill-if-empty',
+    fields: { email: { column: 'Email', policy: 'netsuite-wins' }, phone: { column: 'Phone' } }
+  };
+  assert.deepEqual(fieldPolicies(mapping), { policies: { email: 'netsuite-wins' }, defaultPolicy: 'fill-if-empty' });
+  assert.deepEqual(fieldPolicies(), { policies: {}, defaultPolicy: 'sheet-wins' });
+});
+
+test('diffVendor leaves out fields NetSuite already has', () => {
+  const { changes, diff } = diffVendor(CURRENT, {
+    companyName: ' Acme Sdn Bhd ',
+    currency: { id: 1 },
+    isInactive: false
+  });
+  assert.deepEqual(changes, {});
+  assert.deepEqual(diff, []);
+});
+
+test('diffVendor compares references by id, or by refName without one', () => {
+  assert.deepEqual(diffVendor(CURRENT, { currency: { id: '2' } }).changes, { currency: { id: '2' } });
+  assert.deepEqual(diffVendor(CURRENT, { currency: { refName: 'myr' } }).changes, {});
+  assert.deepEqual(diffVendor(CURRENT, { currency: { refName: 'USD' } }).changes, { currency: { refName: 'USD' } });
+});
+
+test('sheet-wins replaces NetSuite values', () => {
+  const { changes, diff } = diffVendor(CURRENT, { email: 'finance@acme.my', phone: '03-1234 5678' });
+  assert.deepEqual(changes, { email: 'finance@acme.my', phone: '03-1234 5678' });
+  assert.deepEqual(diff, [
+    { field: 'email', from: 'ap@acme.my', to: 'finance@acme.my', policy: 'sheet-wins', applied: true },
+    { field: 'phone', from: '(empty)', to: '03-1234 5678', policy: 'sheet-wins', applied: true }
+  ]);
+});
+
+test('netsuite-wins keeps NetSuite values but lists the difference', () => {
+  const { changes, diff } = diffVendor(CURRENT, { email: 'finance@acme.my', phone: '03-1234 5678' }, { defaultPolicy: 'netsuite-wins' });
+  assert.deepEqual(changes, {});
+  assert.deepEqual(diff.map(d => [d.field, d.applied]), [['email', false], ['phone', false]]);
+  assert.deepEqual(formatDiff(diff), [
+    'email: ap@acme.my → finance@acme.my (kept NetSuite value, netsuite-wins)',
+    'phone: (empty) → 03-1234 5678 (kept NetSuite value, netsuite-wins)'
+  ]);
+});
+
+test('fill-if-empty only writes fields NetSuite has no value for', () => {
+  const { changes, diff } = diffVendor(CURRENT, { email: 'finance@acme.my', phone: '03-1234 5678' }, { defaultPolicy: 'fill-if-empty' });
+  assert.deepEqual(changes, { phone: '03-1234 5678' });
+  assert.deepEqual(diff.map(d => [d.field, d.applied]), [['email', false], ['phone', true]]);
+});
+
+test('a per-field policy overrides the default', () => {
+  const { changes } = diffVendor(CURRENT, { email: 'finance@acme.my', companyName: 'Acme Berhad' }, {
+    policies: { email: 'netsuite-wins' },
+    defaultPolicy: 'sheet-wins'
+  });
+  assert.deepEqual(changes, { companyName: 'Acme Berhad' });
+});
+
+test('an empty sheet value never clears a NetSuite value', () => {
+  const { changes, diff } = diffVendor(CURRENT, { email: '', currency: { id: '' } });
+  assert.deepEqual(changes, {});
+  assert.deepEqual(diff, []);
+});
+
+test('the address book is only sent when a line is new or changed', () => {
+  const address = { addr1: '1 Jalan Ampang', city: 'Kuala Lumpur', zip: '50450', country: { id: 'MY' } };
+  const current = { addressBook: { items: [{ id: 7, label: 'Office', defaultBilling: true, defaultShipping: false, addressBookAddress: address }] } };
+  const same = { addressBook: { items: [{ label: 'Office', defaultBilling: true, defaultShipping: false, addressBookAddress: address }] } };
+  assert.deepEqual(diffVendor(current, same), { changes: {}, diff: [] });
+
+  const moved = { addressBook: { items: [{ label: 'Office', defaultBilling: true, defaultShipping: false, addressBookAddress: { ...address, addr1: '2 Jalan Ampang' } }] } };
+  const { changes, diff } = diffVendor(current, moved);
+  assert.equal(changes.addressBook.items[0].id, 7);
+  assert.equal(diff[0].to, '0 new, 1 changed address line(s)');
+
+  assert.deepEqual(diffVendor(current, moved, { defaultPolicy: 'fill-if-empty' }).changes, {});
+});
+
+test('describeValue and summariseDiff give short text for the report', () => {
+  assert.equal(describeValue(null), '(empty)');
+  assert.equal(describeValue({ id: '3', refName: 'MYR' }), 'MYR');
+  assert.equal(describeValue({ id: '3' }), '#3');
+  assert.equal(describeValue({ items: [{}, {}] }), '2 address line(s)');
+  assert.equal(summariseDiff([]), 'no changes');
+  assert.equal(summariseDiff([
+    { field: 'email', from: 'a', to: 'b', applied: true },
+    { field: 'phone', from: 'c', to: 'd', applied: false }
+  ]), 'email: a → b');
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  checkTin,
+  isNewBrn,
+  isNric,
+  checkIdentification,
+  inferIdType,
+  idTypeCode,
+  checkSst,
+  checkMsic,
+  validateEInvoiceFields
+} = require('../einvoice.cjs');
+const { EINV_FIELD_IDS } = require('../mapper.cjs');
+
+test('checkTin accepts individual, non-individual and general TINs', () => {
+  for (const tin of ['IG12345678901', 'C2584563202', 'CS12345678', 'LE1234567890', 'EI00000000010', 'EI00000000040', 'c 2584-563202']) {
+    assert.equal(checkTin(tin), null, tin);
+  }
+});
+
+test('checkTin rejects empty, unknown prefixes and out-of-range general TINs', () => {
+  assert.equal(checkTin(''), 'TIN is empty');
+  for (const tin of ['X12345678', 'IG123', 'C1234567', 'EI00000000050', 'NA']) {
+    assert.match(checkTin(tin), /is not a valid LHDN TIN/, tin);
+  }
+});
+
+test('isNewBrn needs a past year and a known entity type', () => {
+  assert.equal(isNewBrn('201901012345'), true);
+  assert.equal(isNewBrn('2019-01-012345'), true);
+  assert.equal(isNewBrn('201907012345'), false); // entity type 07
+  assert.equal(isNewBrn('189901012345'), false);
+  assert.equal(isNewBrn(`${new Date().getFullYear() + 1}01012345`), false);
+  assert.equal(isNewBrn('20190101234'), false);
+});
+
+test('isNric checks the birth date and place of birth', () => {
+  assert.equal(isNric('900101-14-5678'), true);
+  assert.equal(isNric('900101145678'), true);
+  assert.equal(isNric('000229-10-1234'), true); // 29 February is allowed for any year
+  assert.equal(isNric('901301-14-5678'), false); // month 13
+  assert.equal(isNric('900231-14-5678'), false);
+  assert.equal(isNric('900101-00-5678'), false);
+  assert.equal(isNric('900101-14-567'), false);
+});
+
+test('checkIdentification applies the rule of the ID type', () => {
+  assert.deepEqual(checkIdentification('BRN', '201901012345'), {});
+  assert.match(checkIdentification('BRN', '123456-A').warning, /old format/);
+  assert.match(checkIdentification('BRN', '12345').error, /not a 12-digit registration number/);
+  assert.deepEqual(checkIdentification('NRIC', '900101-14-5678'), {});
+  assert.match(checkIdentification('NRIC', '201901012345').error, /not a valid 12-digit MyKad/);
+  assert.deepEqual(checkIdentification('PASSPORT', 'A12345678'), {});
+  assert.match(checkIdentification('PASSPORT', '12345678').error, /Passport number/);
+  assert.deepEqual(checkIdentification('ARMY', 'T123456'), {});
+  assert.match(checkIdentification('OTHER', 'X').error, /is not one of BRN, NRIC, PASSPORT, ARMY/);
+  assert.equal(checkIdentification('BRN', '').error, 'Identification code is empty');
+});
+
+test('inferIdType lets the TIN decide between BRN and NRIC', () => {
+  // 900101145678 is not a BRN (year 9001); 200101015678 is both
+  assert.equal(inferIdType('900101-14-5678', 'C2584563202'), 'NRIC');
+  assert.equal(inferIdType('200101015678', 'C2584563202'), 'BRN');
+  assert.equal(inferIdType('200101015678', 'IG12345678901'), 'NRIC');
+  assert.equal(inferIdType('123456-A'), 'BRN');
+  assert.equal(inferIdType('C2584563202'), null); // a TIN, not an ID
+  assert.equal(inferIdType('A12345678'), 'PASSPORT');
+  assert.equal(inferIdType(''), null);
+});
+
+test('idTypeCode reads the code off a refName', () => {
+  assert.equal(idTypeCode('BRN : Business Registration No.'), 'BRN');
+  assert.equal(idTypeCode('nric'), 'NRIC');
+  assert.equal(idTypeCode(undefined), '');
+});
+
+test('checkSst allows NA and up to two numbers', () => {
+  assert.equal(checkSst(''), null);
+  assert.equal(checkSst('na'), null);
+  assert.equal(checkSst('W10-1808-32000001'), null);
+  assert.equal(checkSst('W10-1808-32000001; B16-1809-32000002'), null);
+  assert.match(checkSst('W10-1808-32000001;W10-1808-32000002;W10-1808-32000003'), /more than two/);
+  assert.match(checkSst('W1018083200001'), /does not match the A12-3456-78901234 format/);
+});
+
+test('checkMsic needs 5 digits and a code from the lookup', () => {
+  const lookup = { 46100: { id: '7', refName: '46100 : Wholesale' } };
+  assert.deepEqual(checkMsic({ refName: '00000' }, {}), {});
+  assert.deepEqual(checkMsic({ id: '7', refName: '46100 : Wholesale' }, lookup), {});
+  assert.deepEqual(checkMsic({ refName: '46100' }, lookup), {});
+  assert.match(checkMsic({ refName: '4610' }, lookup).error, /not a 5-digit code/);
+  assert.match(checkMsic({ refName: '99999' }, lookup).error, /not in the MSIC code list/);
+  assert.match(checkMsic({ refName: '99999' }, {}).warning, /MSIC lookup is empty/);
+});
+
+function vendor(fields) {
+  return {
+    [EINV_FIELD_IDS.tin]: 'C2584563202',
+    [EINV_FIELD_IDS.identificationType]: { refName: 'BRN : Business Registration No.' },
+    [EINV_FIELD_IDS.identificationCode]: '201901012345',
+    [EINV_FIELD_IDS.sst]: 'NA',
+    [EINV_FIELD_IDS.msicCode]: { refName: '00000' },
+    ...fields
+  };
+}
+
+test('validateEInvoiceFields passes a complete local vendor', () => {
+  assert.deepEqual(validateEInvoiceFields(vendor({}), EINV_FIELD_IDS), []);
+});
+
+test('validateEInvoiceFields requires the identification code', () => {
+  const issues = validateEInvoiceFields(vendor({ [EINV_FIELD_IDS.identificationCode]: '' }), EINV_FIELD_IDS);
+  assert.deepEqual(issues, [{ level: 'error', field: EINV_FIELD_IDS.identificationCode, message: 'Identification_Code is required for Malaysian vendors' }]);
+});
+
+test('validateEInvoiceFields rejects an identification code equal to the TIN', () => {
+  const issues = validateEInvoiceFields(vendor({ [EINV_FIELD_IDS.identificationCode]: 'c2584563202' }), EINV_FIELD_IDS);
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /is the TIN; it should be the BRN number/);
+});
+
+test('validateEInvoiceFields reports each bad field', () => {
+  const issues = validateEInvoiceFields(vendor({
+    [EINV_FIELD_IDS.tin]: 'X1',
+    [EINV_FIELD_IDS.identificationCode]: '123456-A',
+    [EINV_FIELD_IDS.sst]: 'W10',
+    [EINV_FIELD_IDS.msicCode]: { refName: '123' }
+  }), EINV_FIELD_IDS);
+  assert.deepEqual(issues.map(i => [i.level, i.field]), [
+    ['error', EINV_FIELD_IDS.tin],
+    ['warning', EINV_FIELD_IDS.identificationCode],
+    ['error', EINV_FIELD_IDS.sst],
+    ['error', EINV_FIELD_IDS.msicCode]
+  ]);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { rowHash, reached, openJournal } = require('../journal.cjs');
+
+function tempJournal(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-journal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'state', 'journal.jsonl');
+}
+
+function lines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('rowHash ignores column order, empty cells and ignored columns', () => {
+  const hash = rowHash({ Code: 'V001', Name: 'Acme' });
+  assert.equal(rowHash({ Name: ' Acme ', Code: 'V001', Phone: '' }), hash);
+  assert.equal(rowHash({ Code: 'V001', Name: 'Acme', Status: 'synced' }, ['Status']), hash);
+  assert.notEqual(rowHash({ Code: 'V001', Name: 'Acme Bhd' }), hash);
+});
+
+test('reached follows the stage order and treats finished entries as past every stage', () => {
+  assert.equal(reached(null, 'pushed'), false);
+  assert.equal(reached({ stage: 'pushed' }, 'pushed'), true);
+  assert.equal(reached({ stage: 'pushed' }, 'copied'), false);
+  assert.equal(reached({ stage: 'copied' }, 'pushed'), true);
+  assert.equal(reached({ stage: 'marked' }, 'copied'), true);
+  assert.equal(reached({ stage: 'deleted' }, 'deleted'), true);
+});
+
+test('record merges the stages of a row and writes each one to disk', t => {
+  const file = tempJournal(t);
+  const journal = openJournal(file, { scope: 'sheet/Vendors' });
+  journal.record('h1', 'pushed', { vendorId: '42', code: 'V001' });
+  journal.record('h1', 'copied');
+
+  assert.deepEqual(lines(file).map(l => l.stage), ['pushed', 'copied']);
+  const entry = journal.get('h1');
+  assert.equal(entry.stage, 'copied');
+  assert.equal(entry.vendorId, '42');
+  assert.equal(journal.get('h2'), null);
+  assert.throws(() => journal.record('h1', 'sent'), /Unknown journal stage "sent"/);
+});
+
+test('a reopened journal resumes open rows and prunes finished ones', t => {
+  const file = tempJournal(t);
+  const first = openJournal(file, { scope: 'a' });
+  first.record('done', 'pushed', { vendorId: '1' });
+  first.record('done', 'copied');
+  first.record('done', 'deleted');
+  first.record('half', 'pushed', { vendorId: '2' });
+  first.record('marked', 'pushed', { vendorId: '3' });
+  first.record('marked', 'marked');
+  fs.appendFileSync(file, '{"scope":"a","hash":"cut');
+
+  const second = openJournal(file, { scope: 'a' });
+  assert.deepEqual(second.pending().map(e => [e.hash, e.stage, e.vendorId]), [['half', 'pushed', '2']]);
+  assert.equal(second.get('done'), null);
+  assert.deepEqual(lines(file).map(l => l.hash), ['half']);
+});
+
+test('entries of another scope are kept but not listed', t => {
+  const file = tempJournal(t);
+  openJournal(file, { scope: 'a' }).record('h1', 'pushed');
+  openJournal(file, { scope: 'b' }).record('h1', 'copied');
+
+  const a = openJournal(file, { scope: 'a' });
+  assert.deepEqual(a.pending().map(e => e.stage), ['pushed']);
+  assert.equal(a.get('h1').stage, 'pushed');
+  assert.equal(openJournal(file, { scope: 'b' }).get('h1').stage, 'copied');
+});
+
+test('a dry run leaves the journal file alone', t => {
+  const file = tempJournal(t);
+  const journal = openJournal(file, { dryRun: true });
+  journal.record('h1', 'pushed');
+  assert.equal(journal.get('h1').stage, 'pushed');
+  assert.equal(fs.existsSync(file), false);
+});
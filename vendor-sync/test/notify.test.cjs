@@ -0,0 +1,135 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { resolveNotifyConfig, buildDigest, shouldNotify, notifyRun } = require('../notify.cjs');
+
+const SUMMARY = {
+  errorCount: 1,
+  results: [
+    { rowKey: 'C1', ok: true, vendorId: '101', action: 'create' },
+    { rowKey: 'C2', ok: true, vendorId: '102', action: 'update', diff: [{ field: 'email', applied: true }] },
+    { rowKey: 'C3', ok: false }
+  ],
+  errors: [{
+    row: 'C3',
+    kind: 'validation',
+    status: 400,
+    error: 'NetSuite API error: HTTP 400',
+    netSuiteResponse: { 'o:errorDetails': [{ detail: 'Please enter a value for Company Name', 'o:errorCode': 'USER_ERROR' }] }
+  }],
+  warnings: []
+};
+
+// A local webhook that answers `status` and records the JSON bodies it gets
+async function webhookStandIn(t, status = 200) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      bodies.push({ method: req.method, contentType: req.headers['content-type'], body: JSON.parse(body) });
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'invalid_token');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { bodies, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+function digestWith(outcome, counts = {}) {
+  const items = n => Array.from({ length: n || 0 }, (_, i) => ({ row: `R${i}` }));
+  return { outcome, created: items(counts.created), updated: items(counts.updated), warned: items(counts.warned), failed: [] };
+}
+
+test('shouldNotify with "always" sends failures and runs with news only', () => {
+  assert.equal(shouldNotify(digestWith('partial'), 'always'), true);
+  assert.equal(shouldNotify(digestWith('fatal'), 'always'), true);
+  assert.equal(shouldNotify(digestWith('success', { created: 1 }), 'always'), true);
+  assert.equal(shouldNotify(digestWith('success', { updated: 1 }), 'always'), true);
+  assert.equal(shouldNotify(digestWith('success', { warned: 1 }), 'always'), true);
+  assert.equal(shouldNotify(digestWith('success'), 'always'), false);
+});
+
+test('shouldNotify with "failure" sends partial and fatal runs only', () => {
+  assert.equal(shouldNotify(digestWith('partial'), 'failure'), true);
+  assert.equal(shouldNotify(digestWith('fatal'), 'failure'), true);
+  assert.equal(shouldNotify(digestWith('success', { created: 3 }), 'failure'), false);
+});
+
+test('shouldNotify with "never" sends nothing', () => {
+  assert.equal(shouldNotify(digestWith('partial'), 'never'), false);
+  assert.equal(shouldNotify(digestWith('fatal'), 'never'), false);
+  assert.equal(shouldNotify(digestWith('success', { created: 1 }), 'never'), false);
+});
+
+test('buildDigest sorts rows into new, updated and failed', () => {
+  const digest = buildDigest(SUMMARY, { runId: 'run-1', sandbox: true });
+  assert.equal(digest.outcome, 'partial');
+  assert.equal(digest.title, 'Vendor sync finished with failures: 1 new, 1 updated, 1 failed [sandbox]');
+  assert.deepEqual(digest.created.map(c => c.row), ['C1']);
+  assert.deepEqual(digest.updated.map(u => [u.row, u.changedFields]), [['C2', 1]]);
+  assert.equal(digest.failed[0].detail, 'Please enter a value for Company Name');
+  assert.equal(buildDigest(null, { error: new Error('boom') }).title, 'Vendor sync stopped: boom');
+});
+
+test('resolveNotifyConfig reads the channels from the environment', () => {
+  const config = resolveNotifyConfig({
+    VENDOR_NOTIFY_ON: 'Failure',
+    VENDOR_NOTIFY_SMTP_HOST: 'smtp.example.com',
+    VENDOR_NOTIFY_SMTP_USER: 'sync@example.com',
+    VENDOR_NOTIFY_TO: 'ap@example.com; finance@example.com',
+    VENDOR_NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/a,https://hooks.example.com/b',
+    VENDOR_NOTIFY_WEBHOOK_FORMAT: 'teams'
+  });
+  assert.equal(config.on, 'failure');
+  assert.deepEqual(config.channels.map(c => c.type), ['smtp', 'webhook', 'webhook']);
+  assert.equal(config.channels[0].from, 'sync@example.com');
+  assert.deepEqual(config.channels[0].to, ['ap@example.com', 'finance@example.com']);
+  assert.equal(config.channels[1].format, 'teams');
+  assert.throws(() => resolveNotifyConfig({ VENDOR_NOTIFY_ON: 'sometimes' }), /must be one of always, failure, never/);
+  assert.throws(() => resolveNotifyConfig({ VENDOR_NOTIFY_SMTP_HOST: 'smtp.example.com' }), /VENDOR_NOTIFY_TO or VENDOR_NOTIFY_FROM is missing/);
+  assert.throws(() => resolveNotifyConfig({ VENDOR_NOTIFY_WEBHOOK_URL: 'hooks.example.com' }), /must be an http\(s\) URL/);
+});
+
+test('the webhook channel posts a Slack message', async t => {
+  const { bodies, url } = await webhookStandIn(t);
+  const sent = await notifyRun(SUMMARY, { runId: 'run-1' }, { config: { on: 'always', channels: [{ type: 'webhook', url, format: 'slack' }] } });
+
+  assert.deepEqual(sent.map(s => s.ok), [true]);
+  assert.equal(bodies.length, 1);
+  assert.equal(bodies[0].method, 'POST');
+  assert.match(bodies[0].contentType, /application\/json/);
+  const text = bodies[0].body.text;
+  assert.match(text, /^\*Vendor sync finished with failures: 1 new, 1 updated, 1 failed\*\nRun run-1\n/);
+  assert.match(text, /\*Failed rows \(1\)\*\n- C3 \[validation\]: NetSuite HTTP 400: Please enter a value for Company Name/);
+  assert.match(text, /- C1 → vendor 101/);
+  assert.match(text, /- C2 → vendor 102 \(1 field\(s\) changed\)/);
+});
+
+test('the webhook channel posts a Teams card', async t => {
+  const { bodies, url } = await webhookStandIn(t);
+  await notifyRun(SUMMARY, {}, { config: { on: 'always', channels: [{ type: 'webhook', url, format: 'teams' }] } });
+  const card = bodies[0].body;
+  assert.equal(card['@type'], 'MessageCard');
+  assert.equal(card.themeColor, 'D00000');
+  assert.match(card.text, /\*\*New vendors \(1\)\*\*\n\n- C1/);
+});
+
+test('a failing channel is reported without throwing', async t => {
+  const { bodies, url } = await webhookStandIn(t, 403);
+  const sent = await notifyRun(SUMMARY, {}, { config: { on: 'always', channels: [{ type: 'webhook', url, format: 'slack' }] } });
+  assert.equal(bodies.length, 1);
+  assert.equal(sent[0].ok, false);
+  assert.equal(sent[0].error, 'HTTP 403 - invalid_token');
+});
+
+test('nothing is posted when the run is not worth a notification', async t => {
+  const { bodies, url } = await webhookStandIn(t);
+  const quiet = { errorCount: 0, results: [], errors: [], warnings: [] };
+  assert.deepEqual(await notifyRun(quiet, {}, { config: { on: 'always', channels: [{ type: 'webhook', url, format: 'slack' }] } }), []);
+  assert.deepEqual(await notifyRun(SUMMARY, {}, { config: { on: 'never', channels: [{ type: 'webhook', url, format: 'slack' }] } }), []);
+  assert.equal(bodies.length, 0);
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_MATCH_THRESHOLD,
+  normaliseLookupKey,
+  similarity,
+  resolveMatchThreshold,
+  createLookupResolver,
+  describeSuggestion
+} = require('../resolver.cjs');
+
+const COUNTRIES = {
+  MALAYSIA: { id: 'MY' },
+  SINGAPORE: { id: 'SG' },
+  'KOREA, REPUBLIC OF': { id: 'KR' },
+  US: { id: 'US' },
+  'UNITED STATES': { id: 'US' },
+  'U.K.': { id: 'GB' },
+  AUSTRIA: { id: 'AT' },
+  AUSTRALIA: { id: 'AU' }
+};
+
+const STATES = {
+  14: { id: '14' },
+  'WILAYAH PERSEKUTUAN KUALA LUMPUR': { id: '14' },
+  'WILAYAH PERSEKUTUAN LABUAN': { id: '15' },
+  'WILAYAH PERSEKUTUAN PUTRAJAYA': { id: '16' },
+  SELANGOR: { id: '10' }
+};
+
+const { resolve } = createLookupResolver();
+
+test('normaliseLookupKey strips punctuation, diacritics and a leading THE', () => {
+  assert.equal(normaliseLookupKey('The U.S.A.'), 'USA');
+  assert.equal(normaliseLookupKey('Côte d\'Ivoire'), 'COTE D IVOIRE');
+  assert.equal(normaliseLookupKey('Trinidad & Tobago'), 'TRINIDAD AND TOBAGO');
+  assert.equal(normaliseLookupKey('W.P. Labuan'), 'WILAYAH PERSEKUTUAN LABUAN');
+  assert.equal(normaliseLookupKey(null), '');
+});
+
+test('similarity ignores word order', () => {
+  assert.equal(similarity('REPUBLIC OF KOREA', 'KOREA REPUBLIC OF'), 1);
+  assert.ok(similarity('MALASIA', 'MALAYSIA') < 1);
+});
+
+test('resolveMatchThreshold falls back to LOOKUP_MATCH_THRESHOLD and the default', () => {
+  assert.equal(resolveMatchThreshold(undefined, {}), DEFAULT_MATCH_THRESHOLD);
+  assert.equal(resolveMatchThreshold('', { LOOKUP_MATCH_THRESHOLD: '0.9' }), 0.9);
+  assert.equal(resolveMatchThreshold(0.7, { LOOKUP_MATCH_THRESHOLD: '0.9' }), 0.7);
+  assert.throws(() => resolveMatchThreshold('1.5', {}), /between 0 and 1/);
+  assert.throws(() => resolveMatchThreshold('0', {}), /between 0 and 1/);
+  assert.throws(() => resolveMatchThreshold('high', {}), /between 0 and 1/);
+});
+
+test('resolve tries exact, normalised and alias matches before guessing', () => {
+  assert.deepEqual(resolve('countryCodesLookup', COUNTRIES, 'malaysia').match,
+    { key: 'MALAYSIA', value: { id: 'MY' }, method: 'exact', score: 1 });
+  assert.equal(resolve('countryCodesLookup', COUNTRIES, 'Malaysia.').match.method, 'normalised');
+  assert.equal(resolve('countryCodesLookup', COUNTRIES, 'UK').match.key, 'U.K.');
+  assert.deepEqual(resolve('countryCodesLookup', COUNTRIES, 'U.S.A.').match,
+    { key: 'US', value: { id: 'US' }, method: 'alias', score: 1 });
+  assert.equal(resolve('stateCodesLookup', STATES, 'KL').match.key, '14');
+});
+
+test('resolve takes user aliases in place of the built-in ones', () => {
+  const custom = createLookupResolver({ aliases: { country: { BLIGHTY: ['UNITED KINGDOM', 'U.K.'] } } });
+  assert.equal(custom.resolve('countryCodesLookup', COUNTRIES, 'Blighty').match.key, 'U.K.');
+  assert.equal(custom.resolve('countryCodesLookup', COUNTRIES, 'USA').match, null);
+});
+
+test('resolve accepts a fuzzy match at or above the threshold', () => {
+  const { match } = resolve('countryCodesLookup', COUNTRIES, 'Malasia');
+  assert.equal(match.key, 'MALAYSIA');
+  assert.equal(match.method, 'fuzzy');
+  assert.ok(match.score >= DEFAULT_MATCH_THRESHOLD);
+  assert.equal(resolve('countryCodesLookup', COUNTRIES, 'Republic of Korea').match.key, 'KOREA, REPUBLIC OF');
+});
+
+test('resolve only suggests a match below the threshold', () => {
+  const result = resolve('countryCodesLookup', COUNTRIES, 'Singapur');
+  assert.equal(result.match, null);
+  assert.equal(result.suggestion.key, 'SINGAPORE');
+  assert.equal(result.suggestion.ambiguousWith, null);
+
+  const strict = createLookupResolver({ threshold: 0.95 });
+  assert.equal(strict.resolve('countryCodesLookup', COUNTRIES, 'Malasia').match, null);
+  assert.equal(strict.resolve('countryCodesLookup', COUNTRIES, 'Malasia').suggestion.key, 'MALAYSIA');
+});
+
+test('resolve does not pick between two close candidates', () => {
+  const result = resolve('countryCodesLookup', COUNTRIES, 'Austraia');
+  assert.equal(result.match, null);
+  assert.deepEqual([result.suggestion.key, result.suggestion.ambiguousWith], ['AUSTRALIA', 'AUSTRIA']);
+  assert.equal(describeSuggestion(result.suggestion), 'closest "AUSTRALIA", score 0.89, just as close to "AUSTRIA"');
+});
+
+test('keys of the same entry are not rivals', () => {
+  // "US" and "UNITED STATES" are one entry and must not make "Unted States" ambiguous
+  assert.equal(resolve('countryCodesLookup', COUNTRIES, 'Unted States').match.key, 'UNITED STATES');
+});
+
+test('resolve never guesses codes, short values or unknown names', () => {
+  assert.deepEqual(resolve('countryCodesLookup', COUNTRIES, 'Mys'), { match: null, suggestion: null });
+  assert.deepEqual(resolve('msicLookup', { 46100: {} }, '46101'), { match: null, suggestion: null });
+  assert.deepEqual(resolve('countryCodesLookup', COUNTRIES, 'Germany'), { match: null, suggestion: null });
+  assert.deepEqual(resolve('countryCodesLookup', COUNTRIES, ''), { match: null, suggestion: null });
+});
+
+test('a bare Wilayah Persekutuan is not resolved to one of the territories', () => {
+  assert.equal(resolve('stateCodesLookup', STATES, 'Wilayah Persekutuan').match, null);
+  assert.equal(resolve('stateCodesLookup', STATES, 'W.P. Labuan').match.key, 'WILAYAH PERSEKUTUAN LABUAN');
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { SmtpError, sendMail } = require('../smtp.cjs');
+
+// A loopback SMTP server that accepts everything except the commands in
+// `reject` (command name -> reply), and records what it was sent
+async function smtpStandIn(t, { reject = {}, extensions = ['AUTH PLAIN'] } = {}) {
+  const session = { commands: [], messages: [] };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 stand-in ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      for (let end = buffer.indexOf('\r\n'); end !== -1; end = buffer.indexOf('\r\n')) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            session.messages.push(data.join('\r\n'));
+            data = null;
+            reply('250 queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        session.commands.push(line);
+        if (reject[verb]) {
+          reply(reject[verb]);
+        } else if (verb === 'EHLO') {
+          [...extensions.map(e => `250-${e}`), '250 SIZE 1000000'].forEach(reply);
+        } else if (verb === 'AUTH') {
+          reply('235 accepted');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply('354 go ahead');
+        } else if (verb === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else {
+          reply('250 ok');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { session, port: server.address().port };
+}
+
+function decodeBody(message) {
+  const [, body] = message.split('\r\n\r\n');
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+test('sendMail hands one message to the server', async t => {
+  const { session, port } = await smtpStandIn(t);
+  await sendMail({
+    host: '127.0.0.1',
+    port,
+    user: 'sync@example.com',
+    pass: 'secret',
+    from: 'sync@example.com',
+    to: ['ap@example.com', 'finance@example.com'],
+    subject: 'Vendor sync – 2 new',
+    text: 'Line one\n.\nRésumé'
+  });
+
+  assert.match(session.commands[0], /^EHLO /);
+  assert.equal(session.commands[1], `AUTH PLAIN ${Buffer.from('\0sync@example.com\0secret').toString('base64')}`);
+  assert.deepEqual(session.commands.slice(2), [
+    'MAIL FROM:<sync@example.com>',
+    'RCPT TO:<ap@example.com>',
+    'RCPT TO:<finance@example.com>',
+    'DATA',
+    'QUIT'
+  ]);
+  assert.equal(session.messages.length, 1);
+  const message = session.messages[0];
+  assert.match(message, /^From: sync@example.com\r\n/);
+  assert.match(message, /\r\nTo: ap@example.com, finance@example.com\r\n/);
+  assert.match(message, /\r\nSubject: =\?UTF-8\?B\?/);
+  assert.equal(decodeBody(message), 'Line one\n.\nRésumé');
+});
+
+test('sendMail skips AUTH without credentials', async t => {
+  const { session, port } = await smtpStandIn(t);
+  await sendMail({ host: '127.0.0.1', port, from: 'sync@example.com', to: 'ap@example.com', subject: 'Hi', text: 'x' });
+  assert.ok(!session.commands.some(c => c.startsWith('AUTH')));
+  assert.equal(session.messages.length, 1);
+});
+
+test('sendMail fails with the server reply when a command is refused', async t => {
+  const { session, port } = await smtpStandIn(t, { reject: { RCPT: '550 5.1.1 no such user' } });
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port, from: 'sync@example.com', to: ['nobody@example.com'], subject: 'Hi', text: 'x' }),
+    error => error instanceof SmtpError && error.code === 550 && /SMTP RCPT failed: 550 5.1.1 no such user/.test(error.message)
+  );
+  assert.equal(session.messages.length, 0);
+});
+
+test('sendMail reports a rejected login', async t => {
+  const { port } = await smtpStandIn(t, { reject: { AUTH: '535 5.7.8 bad credentials' } });
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port, user: 'u', pass: 'p', from: 'sync@example.com', to: ['ap@example.com'] }),
+    /SMTP AUTH failed: 535/
+  );
+});
+
+test('sendMail times out on a server that never answers', async t => {
+  const server = net.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.address().port, from: 'a@example.com', to: ['b@example.com'], timeoutMs: 100 }),
+    /No answer from 127.0.0.1:\d+ within 100 ms/
+  );
+});
+
+test('sendMail checks its arguments before connecting', async () => {
+  await assert.rejects(sendMail({ host: '127.0.0.1', from: 'a@example.com', to: [] }), /at least one recipient/);
+  await assert.rejects(sendMail({ host: '127.0.0.1', from: 'a@example.com', to: ['b@example.com>\r\nRCPT TO:<c@example.com'] }), /Invalid email address/);
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CONCURRENCY,
+  resolveRateLimit,
+  resolveConcurrency,
+  isThrottled,
+  retryAfterMs,
+  createRateLimiter,
+  runPool
+} = require('../throttle.cjs');
+const { sleep, backoffMs } = require('../util.cjs');
+
+test('resolveRateLimit and resolveConcurrency read the environment and reject bad values', () => {
+  assert.equal(resolveRateLimit(undefined, { NETSUITE_RATE_LIMIT: '2.5' }), 2.5);
+  assert.equal(resolveConcurrency(undefined, {}), DEFAULT_CONCURRENCY);
+  assert.equal(resolveConcurrency('8', { VENDOR_SYNC_CONCURRENCY: '2' }), 8);
+  assert.throws(() => resolveRateLimit('-1', {}), /Rate limit must be a positive number/);
+  assert.throws(() => resolveConcurrency('1.5', {}), /Concurrency must be a whole number/);
+});
+
+test('isThrottled counts 429 and limit codes, and 503 only for idempotent requests', () => {
+  assert.equal(isThrottled({ status: 429 }), true);
+  assert.equal(isThrottled({ status: 400, data: { 'o:errorDetails': [{ 'o:errorCode': 'SSS_REQUEST_LIMIT_EXCEEDED' }] } }), true);
+  assert.equal(isThrottled({ status: 400, data: 'CONCURRENCY_LIMIT_EXCEEDED' }), true);
+  assert.equal(isThrottled({ status: 503 }), true);
+  assert.equal(isThrottled({ status: 503 }, { idempotent: false }), false);
+  assert.equal(isThrottled({ status: 429 }, { idempotent: false }), true);
+  assert.equal(isThrottled({ status: 500 }), false);
+  assert.equal(isThrottled(null), false);
+});
+
+test('retryAfterMs reads seconds and HTTP dates', () => {
+  const now = Date.parse('2024-05-01T00:00:00Z');
+  assert.equal(retryAfterMs({ headers: { 'retry-after': '3' } }, now), 3000);
+  assert.equal(retryAfterMs({ headers: { 'Retry-After': 'Wed, 01 May 2024 00:00:10 GMT' } }, now), 10000);
+  assert.equal(retryAfterMs({ headers: { 'retry-after': 'soon' } }, now), null);
+  assert.equal(retryAfterMs({ headers: {} }, now), null);
+});
+
+test('backoffMs doubles from the base up to the cap, with equal jitter', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffMs(0, 1000, 60000);
+    assert.ok(first >= 500 && first <= 1000, String(first));
+    const third = backoffMs(2, 1000, 60000);
+    assert.ok(third >= 2000 && third <= 4000, String(third));
+    const capped = backoffMs(10, 500, 8000);
+    assert.ok(capped >= 4000 && capped <= 8000, String(capped));
+  }
+});
+
+test('the limiter retries throttled requests until they succeed', async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 1000 });
+  const answers = [{ status: 429, headers: { 'retry-after': '0' } }, { status: 503, headers: { 'retry-after': '0' } }, { status: 200 }];
+  let calls = 0;
+  const res = await limiter.schedule(async () => answers[calls++]);
+  assert.equal(res.status, 200);
+  assert.equal(calls, 3);
+  assert.deepEqual(limiter.stats, { requests: 3, throttled: 2 });
+});
+
+test('the limiter does not resend a write on a 503', async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 1000 });
+  let calls = 0;
+  const res = await limiter.schedule(async () => {
+    calls++;
+    return { status: 503, headers: { 'retry-after': '0' } };
+  }, { idempotent: false });
+  assert.equal(res.status, 503);
+  assert.equal(calls, 1);
+});
+
+test('the limiter returns the last throttled response when retries run out', async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 1000, maxRetries: 2 });
+  let calls = 0;
+  const res = await limiter.schedule(async () => {
+    calls++;
+    return { status: 429, headers: { 'retry-after': '0' } };
+  });
+  assert.equal(res.status, 429);
+  assert.equal(calls, 3);
+});
+
+test('runPool returns results in item order whatever order workers finish in', async () => {
+  const finished = [];
+  const results = await runPool([30, 5, 20, 0, 10], 3, async (delay, index) => {
+    await sleep(delay);
+    finished.push(index);
+    return `${index}:${delay}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:0', '4:10']);
+  assert.notDeepEqual(finished, [0, 1, 2, 3, 4]);
+});
+
+test('runPool keeps at most `concurrency` workers running', async () => {
+  let running = 0;
+  let peak = 0;
+  await runPool(Array.from({ length: 8 }, (_, i) => i), 2, async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(await runPool([], 4, async () => 1), []);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { sleep, backoffMs } = require('./util.cjs');
+
+// NetSuite limits both the request rate and the number of requests in flight
+// per integration. Every REST call goes through a limiter that spaces requests
+// with a token bucket and, when NetSuite pushes back (HTTP 429/503 or
+// SSS_REQUEST_LIMIT_EXCEEDED), waits as told by Retry-After or backs off,
+// slowing the whole bucket down until requests succeed again.
+
+const DEFAULT_RATE_PER_SECOND = 5;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+// Slowest rate the adaptive backoff goes down to
+const MIN_RATE_PER_SECOND = 0.2;
+// Each success after a slowdown wins back this share of the configured rate
+const RECOVERY_STEP = 0.1;
+
+function positiveNumber(value, fallback, name) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} must be a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+// Requests per second (NETSUITE_RATE_LIMIT)
+function resolveRateLimit(value, env = process.env) {
+  return positiveNumber(value !== undefined && value !== null && value !== '' ? value : env.NETSUITE_RATE_LIMIT, DEFAULT_RATE_PER_SECOND, 'Rate limit');
+}
+
+// Rows pushed at the same time (VENDOR_SYNC_CONCURRENCY)
+function resolveConcurrency(value, env = process.env) {
+  const raw = value !== undefined && value !== null && value !== '' ? value : env.VENDOR_SYNC_CONCURRENCY;
+  const concurrency = positiveNumber(raw, DEFAULT_CONCURRENCY, 'Concurrency');
+  if (!Number.isInteger(concurrency)) {
+    throw new Error(`Concurrency must be a whole number, got "${raw}"`);
+  }
+  return concurrency;
+}
+
+// Is this response NetSuite asking us to slow down? A 503 only counts for
+// idempotent requests: a gateway can answer 503 after NetSuite saved a create,
+// and sending it again would make a second vendor. 429 and the limit codes
+// mean the request was turned away before it ran.
+function isThrottled(res, { idempotent = true } = {}) {
+  if (!res) return false;
+  if (res.status === 429 || (res.status === 503 && idempotent)) return true;
+  const text = typeof res.data === 'string' ? res.data : JSON.stringify(res.data || '');
+  return text.includes('SSS_REQUEST_LIMIT_EXCEEDED') || text.includes('CONCURRENCY_LIMIT_EXCEEDED');
+}
+
+// Retry-After in seconds or as an HTTP date; null when absent or unreadable
+function retryAfterMs(res, now = Date.now()) {
+  const header = res && res.headers && (res.headers['retry-after'] || res.headers['Retry-After']);
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Token bucket: `ratePerSecond` tokens a second, holding at most `burst`.
+// take() resolves when a token is available; callers are served in order.
+function createTokenBucket({ ratePerSecond, burst }) {
+  let rate = ratePerSecond;
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - last) / 1000 * rate);
+    last = now;
+  }
+
+  function take() {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil((1 - tokens) / rate * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn;
+    return turn;
+  }
+
+  return {
+    take,
+    get rate() { return rate; },
+    setRate(next) {
+      refill();
+      rate = next;
+    }
+  };
+}
+
+// options: ratePerSecond, burst, maxRetries, debug.
+// schedule(send, { idempotent }) calls send() (which returns { status, headers,
+// data }) once a token is free and retries it while NetSuite answers with a
+// throttling response (see isThrottled; pass idempotent: false for creates and
+// other writes). The last response is returned when retries run out.
+function createRateLimiter(options = {}) {
+  const maxRate = options.ratePerSecond || DEFAULT_RATE_PER_SECOND;
+  const maxRetries = options.maxRetries === undefined ? DEFAULT_MAX_RETRIES : options.maxRetries;
+  const bucket = createTokenBucket({ ratePerSecond: maxRate, burst: options.burst || Math.max(1, Math.ceil(maxRate)) });
+  let pausedUntil = 0;
+  const stats = { requests: 0, throttled: 0 };
+
+  function slowDown() {
+    const next = Math.max(MIN_RATE_PER_SECOND, bucket.rate / 2);
+    if (next < bucket.rate) {
+      bucket.setRate(next);
+      console.error(`  ⚠ NetSuite is throttling requests; slowing down to ${next.toFixed(2)} request(s)/s`);
+    }
+  }
+
+  function speedUp() {
+    if (bucket.rate < maxRate) bucket.setRate(Math.min(maxRate, bucket.rate + maxRate * RECOVERY_STEP));
+  }
+
+  async function schedule(send, requestOptions = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) await sleep(wait);
+      await bucket.take();
+      stats.requests++;
+      const res = await send();
+      if (!isThrottled(res, requestOptions)) {
+        speedUp();
+        return res;
+      }
+      stats.throttled++;
+      if (attempt >= maxRetries) return res;
+      slowDown();
+      const delay = retryAfterMs(res) ?? backoffMs(attempt, BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+      // Every request waits out a Retry-After, not only the one that got it
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      if (options.debug) {
+        console.error(`[DEBUG] Throttled (HTTP ${res.status}); retry ${attempt + 1}/${maxRetries} in ${delay} ms`);
+      }
+    }
+  }
+
+  return { schedule, stats, get rate() { return bucket.rate; } };
+}
+
+// Run worker(item, index) over items with at most `concurrency` at a time.
+// Results come back in item order whatever order the workers finish in.
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = {
+  DEFAULT_RATE_PER_SECOND,
+  DEFAULT_CONCURRENCY,
+  resolveRateLimit,
+  resolveConcurrency,
+  isThrottled,
+  retryAfterMs,
+  createTokenBucket,
+  createRateLimiter,
+  runPool
+};
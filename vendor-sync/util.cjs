@@ -0,0 +1,44 @@
+'use strict';
+
+function stringifyJsonSafe(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch (_err) {
+    return String(value);
+  }
+}
+
+function extractNetSuiteErrorDetails(responseData) {
+  if (responseData && typeof responseData === 'object' && responseData['o:errorDetails']) {
+    try {
+      return JSON.stringify(responseData['o:errorDetails'], null, 2);
+    } catch (_err) {
+      return String(responseData['o:errorDetails']);
+    }
+  }
+  return '';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Delay before retry `attempt` (0-based): exponential from baseMs, capped at
+// maxMs, with equal jitter (half the ceiling plus a random share of the other half)
+function backoffMs(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+module.exports = {
+  stringifyJsonSafe,
+  extractNetSuiteErrorDetails,
+  sleep,
+  backoffMs
+};
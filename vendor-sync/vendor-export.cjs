@@ -0,0 +1,311 @@
+'use strict';
+
+const { resolvePaths, resolveSheetConfig } = require('./config.cjs');
+const { createNetSuiteClient } = require('./netsuite.cjs');
+const { RequestError, classifyResponse } = require('./http.cjs');
+const { EINV_FIELD_IDS } = require('./mapper.cjs');
+const { resolveMapping } = require('./mapping.cjs');
+const { resolveConcurrency, runPool } = require('./throttle.cjs');
+const { STATUS_COLUMNS } = require('./sync.cjs');
+const {
+  createSheetsClient,
+  readSheetRows,
+  getSpreadsheetMetadata,
+  ensureSheet,
+  ensureHeaderRow,
+  writeRows,
+  appendRows,
+  clearTab
+} = require('./sheets.cjs');
+
+// The reverse of the sync: NetSuite's vendors written to a tab ("NetSuite
+// Vendors") in the source tab's column layout, so procurement sees what exists
+// and a row can be copied back to the intake sheet as is. The column mapping is
+// read backwards: each sheet column gets the NetSuite field it feeds (address
+// book lines, category, cseg_assa_* segments, currency, E-Invoice fields...).
+// Every EINV_FIELD_IDS field without a column of its own gets one named after
+// the field id. NetSuite_ID and NetSuite_Last_Modified come last.
+//
+// Runs are incremental: only vendors modified since the latest
+// NetSuite_Last_Modified on the tab are read again (SuiteQL on lastmodifieddate,
+// then the vendor record) and their rows rewritten in place. A full export
+// rewrites the tab, which also drops vendors deleted in NetSuite.
+const EXPORT_ID_COLUMN = 'NetSuite_ID';
+const EXPORT_MODIFIED_COLUMN = 'NetSuite_Last_Modified';
+// lastmodifieddate as NetSuite formats it for us; it sorts as text
+const MODIFIED_FORMAT = 'YYYY-MM-DD HH24:MI:SS';
+const MODIFIED_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Every sheet column the mapping reads, with where its value goes:
+// [{ column, rank, target, field, part, group, spec }], rank being the column's
+// position in its field's list. Address parts are "part" of the addressBook
+// field; numbered address lines have their "group" number.
+function mappedColumns(mapping) {
+  const entries = [];
+  const add = (spec, target) => (spec.columns || []).forEach((column, rank) => entries.push({ column, rank, spec, ...target }));
+  for (const [field, spec] of Object.entries(mapping.fields || {})) {
+    if (spec.type !== 'address') {
+      add(spec, { target: field, field });
+      continue;
+    }
+    for (const [part, sub] of Object.entries(spec.fields || {})) add(sub, { target: `${field}.${part}`, field, part });
+    if (spec.lineLabel) add(spec.lineLabel, { target: `${field}.label`, field, part: 'label' });
+    const numbered = spec.numbered;
+    if (!numbered) continue;
+    for (let n = numbered.from || 1; n <= (numbered.to || numbered.from || 1); n++) {
+      const parts = { ...numbered.fields, label: numbered.lineLabel, defaultBilling: numbered.defaultBilling, defaultShipping: numbered.defaultShipping };
+      for (const [part, sub] of Object.entries(parts)) {
+        if (!sub) continue;
+        add({ ...sub, columns: (sub.columns || []).map(c => c.replace(/\{n\}/g, String(n))) }, { target: `${field}[${n}].${part}`, field, part, group: n });
+      }
+    }
+  }
+  return entries;
+}
+
+// Export layout: `layout` (the source tab's headers) first, then a column for
+// every mapped value the layout has no column for, then the id columns.
+// A column read into several fields (Supplier_Name is the legal, company and
+// registered name) is written from the field listing it first, earlier fields
+// winning ties. Returns { headers, targets: Map(column -> entry) }.
+function exportLayout(mapping, layout = []) {
+  const owners = new Map();
+  for (const entry of mappedColumns(mapping)) {
+    const owner = owners.get(entry.column);
+    if (!owner || entry.rank < owner.rank) owners.set(entry.column, entry);
+  }
+  const byTarget = new Map();
+  for (const entry of owners.values()) {
+    if (!byTarget.has(entry.target)) byTarget.set(entry.target, []);
+    byTarget.get(entry.target).push(entry);
+  }
+
+  const headers = layout.filter(h => h && !STATUS_COLUMNS.includes(h) && h !== EXPORT_ID_COLUMN && h !== EXPORT_MODIFIED_COLUMN);
+  const targets = new Map();
+  for (const entries of byTarget.values()) {
+    entries.sort((a, b) => a.rank - b.rank);
+    const entry = entries.find(e => headers.includes(e.column)) || entries[0];
+    if (!headers.includes(entry.column)) headers.push(entry.column);
+    targets.set(entry.column, entry);
+  }
+  const covered = new Set([...targets.values()].map(e => e.target));
+  for (const field of Object.values(EINV_FIELD_IDS)) {
+    if (covered.has(field) || headers.includes(field)) continue;
+    headers.push(field);
+    targets.set(field, { column: field, target: field, field, spec: (mapping.fields || {})[field] || {} });
+  }
+  headers.push(EXPORT_ID_COLUMN, EXPORT_MODIFIED_COLUMN);
+  return { headers, targets };
+}
+
+// A NetSuite value as the sheet column holds it
+function sheetValue(value, entry) {
+  const spec = entry.spec || {};
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') {
+    if (!(spec.transforms || []).includes('boolean')) return value ? 'Yes' : 'No';
+    const sheetTrue = (spec.transforms || []).includes('not') ? !value : value;
+    return sheetTrue ? 'Yes' : 'No';
+  }
+  if (typeof value === 'object') {
+    // Countries of address lines are written as their code, which the lookups match first
+    if (entry.part === 'country' && value.id) return String(value.id);
+    const name = value.refName !== undefined ? String(value.refName) : String(value.id || '');
+    const alias = Object.keys(spec.values || {}).find(key => spec.values[key] === name);
+    return alias || name;
+  }
+  return String(value);
+}
+
+// The address book lines in the order the mapping reads them: the default
+// billing line (or the first) as the main address, then the others
+function addressLines(record, field) {
+  const items = (record[field] && record[field].items) || [];
+  const main = items.find(item => item.defaultBilling) || items[0];
+  return { main, others: items.filter(item => item !== main) };
+}
+
+// One vendor record as { column: value } for the export layout
+function flattenVendor(record, layout, mapping) {
+  const row = {};
+  const numberedFrom = field => (((mapping.fields || {})[field] || {}).numbered || {}).from || 2;
+  for (const [column, entry] of layout.targets) {
+    let value;
+    if (entry.part === undefined) {
+      value = record[entry.field];
+    } else {
+      const { main, others } = addressLines(record, entry.field);
+      const item = entry.group === undefined ? main : others[entry.group - numberedFrom(entry.field)];
+      if (!item) continue;
+      value = ['label', 'defaultBilling', 'defaultShipping'].includes(entry.part)
+        ? item[entry.part]
+        : (item.addressBookAddress || {})[entry.part];
+      // Flags of extra lines are "yes" or empty in the intake sheet
+      if (entry.group !== undefined && typeof value === 'boolean') value = value ? 'Yes' : '';
+    }
+    row[column] = sheetValue(value, entry);
+  }
+  row[EXPORT_ID_COLUMN] = String(record.id || '');
+  return row;
+}
+
+// Create an export bound to one spreadsheet and one NetSuite account.
+// options.sheetId / sourceSheetName / exportSheetName   see resolveSheetConfig
+// options.netsuite / sheets / mapping / concurrency / debug / dryRun   as for createVendorSync
+function createVendorExport(options = {}) {
+  const paths = resolvePaths(options.rootDir);
+  const debug = Boolean(options.debug);
+  const netsuite = options.netsuite && typeof options.netsuite.getVendor === 'function'
+    ? options.netsuite
+    : createNetSuiteClient({ ...(options.netsuite || {}), debug });
+  const dryRun = Boolean(options.dryRun);
+  const sandbox = Boolean(netsuite.config && netsuite.config.sandbox);
+  const { sheetId, sourceSheetName, exportSheetName } = resolveSheetConfig(process.env, {
+    sandbox,
+    sheetId: options.sheetId,
+    sourceSheetName: options.sourceSheetName,
+    exportSheetName: options.exportSheetName
+  });
+  const concurrency = resolveConcurrency(options.concurrency);
+  const mapping = resolveMapping(options.mapping);
+  let sheets = options.sheets || null;
+  let token = null;
+  let refreshing = null;
+
+  async function getSheets() {
+    if (!sheets) {
+      sheets = await createSheetsClient(options.serviceAccountPath || paths.serviceAccount);
+    }
+    return sheets;
+  }
+
+  // Reads running side by side can all hit the same expired token; only the
+  // first refreshes it, the others pick up the new one
+  function refreshToken(expired) {
+    if (token !== expired) return Promise.resolve(token);
+    if (!refreshing) {
+      refreshing = netsuite.getValidAccessToken({ forceRefresh: true })
+        .then(fresh => { token = fresh; return fresh; })
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  // Run a request with the current token and once more with a fresh one on a 401
+  async function withToken(send) {
+    if (!token) token = await netsuite.getValidAccessToken();
+    const used = token;
+    try {
+      const res = await send(used);
+      if (!res || res.status !== 401) return res;
+    } catch (error) {
+      if (!(error instanceof RequestError && error.status === 401)) throw error;
+    }
+    return send(await refreshToken(used));
+  }
+
+  async function fetchVendor(id) {
+    const res = await withToken(t => netsuite.getVendor(id, t));
+    if (res.status === 404) return null; // Deleted since the query ran
+    if (res.status < 200 || res.status >= 300) {
+      throw new RequestError(`Vendor ${id} could not be read: HTTP ${res.status}`, { kind: classifyResponse(res), status: res.status, response: res });
+    }
+    return res.data;
+  }
+
+  // Vendors modified at or after `since` (all when null), oldest first
+  async function changedVendors(since) {
+    const where = since ? `WHERE lastmodifieddate >= TO_TIMESTAMP('${since}', '${MODIFIED_FORMAT}')` : '';
+    return withToken(t => netsuite.runSuiteQL(
+      `SELECT id, entityid, TO_CHAR(lastmodifieddate, '${MODIFIED_FORMAT}') AS modified FROM vendor ${where} ORDER BY lastmodifieddate, id`,
+      t
+    ));
+  }
+
+  // Write the vendors changed since the last export (every vendor with
+  // { full: true } or when the tab is new). Returns { since, found, added,
+  // updated, heldBack, failed: [{ id, entityId, modified, error }] }.
+  async function exportAll(exportOptions = {}) {
+    const sheetsClient = await getSheets();
+    const metadata = await getSpreadsheetMetadata(sheetsClient, sheetId);
+    const hasTab = (metadata.sheets || []).some(s => s.properties && s.properties.title === exportSheetName);
+    const existing = hasTab ? await readSheetRows(sheetsClient, sheetId, exportSheetName) : { headers: [], records: [] };
+
+    const full = Boolean(exportOptions.full) || existing.records.length === 0;
+    const since = full
+      ? null
+      : existing.records.map(r => String(r.data[EXPORT_MODIFIED_COLUMN] || '')).filter(v => MODIFIED_PATTERN.test(v)).sort().pop() || null;
+    const summary = { since, found: 0, added: 0, updated: 0, heldBack: 0, failed: [] };
+
+    const { headers: source } = await readSheetRows(sheetsClient, sheetId, sourceSheetName);
+    const layout = exportLayout(mapping, source);
+    const changed = await changedVendors(since);
+    summary.found = changed.length;
+    console.error(since
+      ? `${changed.length} vendor(s) modified in NetSuite since ${since}`
+      : `Exporting all ${changed.length} vendor(s) from NetSuite`);
+
+    const read = await runPool(changed, concurrency, async ({ id, entityid, modified }) => {
+      try {
+        const record = await fetchVendor(id);
+        if (!record) return null;
+        if (debug) console.error(`[DEBUG] Read vendor ${id} (${entityid})`);
+        return { ...flattenVendor(record, layout, mapping), [EXPORT_MODIFIED_COLUMN]: modified || '' };
+      } catch (error) {
+        console.error(`  ✗ Vendor ${entityid || id}: ${error.message}`);
+        summary.failed.push({ id, entityId: entityid, modified, error: error.message });
+        return { failed: true };
+      }
+    });
+    // The next run starts from the latest date on the tab, so vendors modified
+    // after one that could not be read wait for it instead of being skipped over
+    const firstFailure = read.findIndex(row => row && row.failed);
+    const rows = read.slice(0, firstFailure === -1 ? read.length : firstFailure).filter(Boolean);
+    summary.heldBack = firstFailure === -1 ? 0 : read.slice(firstFailure).filter(row => row && !row.failed).length;
+    if (summary.heldBack > 0) {
+      console.error(`⚠ ${summary.heldBack} vendor(s) modified after ${changed[firstFailure].entityid || changed[firstFailure].id} are left for the next run`);
+    }
+
+    // Rows already on the tab are rewritten where they are; new vendors go at the end
+    const positions = full ? new Map() : new Map(existing.records.map(r => [String(r.data[EXPORT_ID_COLUMN]), r.index]));
+    const updates = [];
+    const additions = [];
+    for (const row of rows) {
+      const index = positions.get(row[EXPORT_ID_COLUMN]);
+      if (index !== undefined) updates.push({ index, row });
+      else additions.push(row);
+    }
+    summary.added = additions.length;
+    summary.updated = updates.length;
+
+    if (dryRun) {
+      console.error(`[DRY-RUN] Would ${full ? 'rewrite' : 'update'} "${exportSheetName}": ${additions.length} added, ${updates.length} updated`);
+      return summary;
+    }
+    await ensureSheet(sheetsClient, sheetId, exportSheetName, { metadata });
+    if (full && hasTab) await clearTab(sheetsClient, sheetId, exportSheetName);
+    const headerRow = await ensureHeaderRow(sheetsClient, sheetId, exportSheetName, [], layout.headers);
+    const positional = row => headerRow.map(h => (row[h] === undefined ? '' : row[h]));
+    await writeRows(sheetsClient, sheetId, exportSheetName, updates.map(({ index, row }) => ({ rowIndex: index, values: positional(row) })));
+    await appendRows(sheetsClient, sheetId, exportSheetName, additions.map(positional));
+
+    console.error(`✓ "${exportSheetName}": ${additions.length} added, ${updates.length} updated${summary.failed.length ? `, ${summary.failed.length} could not be read` : ''}`);
+    return summary;
+  }
+
+  return {
+    netsuite,
+    sheetId,
+    exportSheetName,
+    getSheets,
+    exportAll
+  };
+}
+
+module.exports = {
+  EXPORT_ID_COLUMN,
+  EXPORT_MODIFIED_COLUMN,
+  exportLayout,
+  flattenVendor,
+  createVendorExport
+};
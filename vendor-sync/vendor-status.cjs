@@ -0,0 +1,269 @@
+'use strict';
+
+const { ConfigError, resolvePaths, resolveSheetConfig } = require('./config.cjs');
+const { createNetSuiteClient } = require('./netsuite.cjs');
+const { RequestError } = require('./http.cjs');
+const { TRANSFORMS } = require('./mapper.cjs');
+const {
+  createSheetsClient,
+  readSheetRows,
+  getSpreadsheetMetadata,
+  ensureSheet,
+  ensureHeaderRow,
+  writeRowValues
+} = require('./sheets.cjs');
+const { extractNetSuiteErrorDetails } = require('./util.cjs');
+
+// Retiring a vendor (or bringing one back) without resubmitting its row: a
+// request needs only the vendor Code, the action and a reason. The vendor's
+// isInactive is set and a dated line with the reason is added to its memo field
+// (comments, or VENDOR_STATUS_MEMO_FIELD). Before a deactivation NetSuite is
+// searched for open bills and purchase orders of the vendor; with open
+// transactions "refuse" (the default) the request is refused, with "warn" it
+// goes ahead and the open transactions are reported.
+//
+// Requests come from the CLI or from the "Vendor Status" tab: one row per
+// request with Code, Action (deactivate | reactivate), Reason and Force (yes
+// deactivates despite open transactions). The outcome is written to Status,
+// Processed_At and Result on the row; rows with an empty or "failed" Status are
+// processed, so clearing Status (e.g. once the POs are closed) asks again.
+const STATUS_ACTIONS = ['deactivate', 'reactivate'];
+const OPEN_TRANSACTION_MODES = ['refuse', 'warn'];
+const DEFAULT_OPEN_TRANSACTION_MODE = 'refuse';
+const DEFAULT_MEMO_FIELD = 'comments';
+// NetSuite's limit for comments and other text area fields
+const MEMO_MAX_LENGTH = 999;
+const STATUS_REQUEST_COLUMNS = ['Code', 'Action', 'Reason', 'Force'];
+const STATUS_RESULT_COLUMNS = ['Status', 'Processed_At', 'Result'];
+// done: vendor changed; unchanged: it already was; refused: open transactions
+const PENDING_STATUSES = ['', 'failed'];
+
+// Open transactions by SuiteQL status code:
+//   VendBill  A open, D pending approval
+//   PurchOrd  A pending supervisor approval, B pending receipt, D partially
+//             received, E pending billing/partially received, F pending bill
+const OPEN_STATUSES = {
+  VendBill: ['A', 'D'],
+  PurchOrd: ['A', 'B', 'D', 'E', 'F']
+};
+
+function resolveOpenTransactionMode(value, env = process.env) {
+  const mode = String(value || env.VENDOR_OPEN_TRANSACTIONS || DEFAULT_OPEN_TRANSACTION_MODE).trim().toLowerCase();
+  if (!OPEN_TRANSACTION_MODES.includes(mode)) {
+    throw new Error(`Open transactions mode must be one of ${OPEN_TRANSACTION_MODES.join(', ')}, got "${value || env.VENDOR_OPEN_TRANSACTIONS}"`);
+  }
+  return mode;
+}
+
+// The field goes into SuiteQL as a column name, so only plain field ids
+function resolveMemoField(value, env = process.env) {
+  const field = String(value || env.VENDOR_STATUS_MEMO_FIELD || DEFAULT_MEMO_FIELD).trim();
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+    throw new ConfigError(`VENDOR_STATUS_MEMO_FIELD must be a NetSuite field id, got "${field}"`);
+  }
+  return field;
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// What is wrong with a request, or null
+function checkStatusRequest({ code, action, reason }) {
+  if (!String(code || '').trim()) return 'Code is empty';
+  if (!STATUS_ACTIONS.includes(String(action || '').trim().toLowerCase())) {
+    return `Action must be one of ${STATUS_ACTIONS.join(', ')}, got "${action || ''}"`;
+  }
+  if (!String(reason || '').trim()) return 'A reason is required';
+  return null;
+}
+
+// The memo with a dated line for this change added at the end. The oldest
+// lines are dropped to stay within MEMO_MAX_LENGTH, so a vendor switched back
+// and forth many times does not end up past NetSuite's field limit.
+function memoWithReason(memo, action, reason, now = new Date(), maxLength = MEMO_MAX_LENGTH) {
+  const line = `${now.toISOString().slice(0, 10)} ${action === 'deactivate' ? 'Deactivated' : 'Reactivated'}: ${String(reason).trim()}`.slice(0, maxLength);
+  const lines = memo ? String(memo).split('\n') : [];
+  while (lines.length > 0 && [...lines, line].join('\n').length > maxLength) lines.shift();
+  return [...lines, line].join('\n');
+}
+
+function describeTransactions(transactions) {
+  const names = transactions.map(t => `${t.type === 'PurchOrd' ? 'PO' : 'bill'} ${t.tranid || t.id}${t.status ? ` (${t.status})` : ''}`);
+  return `${transactions.length} open bill(s)/purchase order(s): ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', …' : ''}`;
+}
+
+// Create the deactivate/reactivate action bound to one NetSuite account (and
+// spreadsheet, for processSheet).
+// options.openTransactions   refuse | warn (default VENDOR_OPEN_TRANSACTIONS or refuse)
+// options.memoField          field the reason is recorded in (default VENDOR_STATUS_MEMO_FIELD or comments)
+// options.sheetId / statusSheetName / netsuite / sheets / debug / dryRun   as for createVendorSync
+function createVendorStatus(options = {}) {
+  const paths = resolvePaths(options.rootDir);
+  const debug = Boolean(options.debug);
+  const dryRun = Boolean(options.dryRun);
+  const netsuite = options.netsuite && typeof options.netsuite.patchVendor === 'function'
+    ? options.netsuite
+    : createNetSuiteClient({ ...(options.netsuite || {}), debug, dryRun });
+  const openTransactions = resolveOpenTransactionMode(options.openTransactions);
+  const memoField = resolveMemoField(options.memoField);
+  let sheets = options.sheets || null;
+  let token = null;
+
+  async function getSheets() {
+    if (!sheets) {
+      sheets = await createSheetsClient(options.serviceAccountPath || paths.serviceAccount);
+    }
+    return sheets;
+  }
+
+  // Run a request with the current token and once more with a fresh one on a 401
+  async function withToken(send) {
+    if (!token) token = await netsuite.getValidAccessToken();
+    try {
+      const res = await send(token);
+      if (!res || res.status !== 401) return res;
+    } catch (error) {
+      if (!(error instanceof RequestError && error.status === 401)) throw error;
+    }
+    token = await netsuite.getValidAccessToken({ forceRefresh: true });
+    return send(token);
+  }
+
+  async function findVendor(code) {
+    const rows = await withToken(t => netsuite.runSuiteQL(
+      `SELECT id, entityid, isinactive, ${memoField} AS memo FROM vendor WHERE entityid = ${sqlString(code)}`, t));
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  async function findOpenTransactions(vendorId) {
+    const open = Object.entries(OPEN_STATUSES)
+      .map(([type, statuses]) => `(type = ${sqlString(type)} AND status IN (${statuses.map(sqlString).join(', ')}))`)
+      .join(' OR ');
+    return withToken(t => netsuite.runSuiteQL(
+      `SELECT id, tranid, type, BUILTIN.DF(status) AS status FROM transaction WHERE entity = ${Number(vendorId)} AND (${open}) ORDER BY trandate`, t));
+  }
+
+  // Deactivate or reactivate one vendor. request: { code, action, reason, force }.
+  // Returns { code, action, status: done | unchanged | refused | failed,
+  // vendorId, message, openTransactions }; only bad settings and lost
+  // authentication throw.
+  async function changeStatus(request) {
+    const code = String(request.code || '').trim();
+    const action = String(request.action || '').trim().toLowerCase();
+    const result = { code, action, status: 'failed', vendorId: null, message: '', openTransactions: [] };
+    const problem = checkStatusRequest(request);
+    if (problem) return { ...result, message: problem };
+    try {
+      return await applyStatus(request, code, action, result);
+    } catch (error) {
+      if (!(error instanceof RequestError) || error.kind === 'auth') throw error;
+      return { ...result, message: error.message };
+    }
+  }
+
+  async function applyStatus(request, code, action, result) {
+    const vendor = await findVendor(code);
+    if (!vendor) return { ...result, message: `No vendor with Code ${code} in NetSuite` };
+    result.vendorId = String(vendor.id);
+    const inactive = vendor.isinactive === 'T' || vendor.isinactive === true;
+    if (inactive === (action === 'deactivate')) {
+      return { ...result, status: 'unchanged', message: `Vendor ${vendor.id} is already ${inactive ? 'inactive' : 'active'}` };
+    }
+
+    const warnings = [];
+    if (action === 'deactivate') {
+      result.openTransactions = await findOpenTransactions(vendor.id);
+      if (result.openTransactions.length > 0) {
+        const open = describeTransactions(result.openTransactions);
+        if (openTransactions === 'refuse' && !request.force) {
+          return { ...result, status: 'refused', message: `${open}; close them first or set Force` };
+        }
+        warnings.push(open);
+      }
+    }
+
+    const fields = {
+      isInactive: action === 'deactivate',
+      [memoField]: memoWithReason(vendor.memo, action, request.reason)
+    };
+    const res = await withToken(t => netsuite.patchVendor(vendor.id, fields, t));
+    if (res.status < 200 || res.status >= 300) {
+      const details = extractNetSuiteErrorDetails(res.data);
+      return { ...result, message: `NetSuite HTTP ${res.status}${details ? `: ${details}` : ''}` };
+    }
+    const done = `${dryRun ? 'would be ' : ''}${action === 'deactivate' ? 'deactivated' : 'reactivated'}`;
+    return { ...result, status: 'done', message: [`Vendor ${vendor.id} ${done}`, ...warnings.map(w => `despite ${w}`)].join('; ') };
+  }
+
+  function report(result) {
+    const mark = { done: result.openTransactions.length > 0 ? '⚠' : '✓', unchanged: '✓', refused: '⚠', failed: '✗' }[result.status];
+    console.error(`${mark} ${result.code || '(no code)'} ${result.action}: ${result.message}`);
+  }
+
+  // Apply the pending rows of the status tab (created with its header row when
+  // missing). Returns [{ rowIndex, ...changeStatus result }].
+  async function processSheet() {
+    const { sheetId, statusSheetName } = resolveSheetConfig(process.env, {
+      sandbox: Boolean(netsuite.config && netsuite.config.sandbox),
+      sheetId: options.sheetId,
+      statusSheetName: options.statusSheetName
+    });
+    const sheetsClient = await getSheets();
+    const metadata = await getSpreadsheetMetadata(sheetsClient, sheetId);
+    if (!dryRun) await ensureSheet(sheetsClient, sheetId, statusSheetName, { metadata });
+    const hasTab = (metadata.sheets || []).some(s => s.properties && s.properties.title === statusSheetName);
+    const { records } = hasTab ? await readSheetRows(sheetsClient, sheetId, statusSheetName) : { records: [] };
+    const headerRow = dryRun
+      ? null
+      : await ensureHeaderRow(sheetsClient, sheetId, statusSheetName, STATUS_REQUEST_COLUMNS, STATUS_RESULT_COLUMNS);
+
+    const pending = records.filter(({ data }) => PENDING_STATUSES.includes(String(data.Status || '').trim().toLowerCase()) &&
+      STATUS_REQUEST_COLUMNS.some(column => String(data[column] || '').trim()));
+    console.error(`${pending.length} pending request(s) on "${statusSheetName}"`);
+
+    const results = [];
+    for (const { index, data } of pending) {
+      const result = await changeStatus({
+        code: data.Code,
+        action: data.Action,
+        reason: data.Reason,
+        force: data.Force !== undefined && TRANSFORMS.boolean(data.Force)
+      });
+      report(result);
+      results.push({ rowIndex: index, ...result });
+    }
+
+    if (!dryRun) {
+      const processedAt = new Date().toISOString();
+      await writeRowValues(sheetsClient, sheetId, statusSheetName, headerRow, results.map(r => ({
+        rowIndex: r.rowIndex,
+        values: { Status: r.status, Processed_At: processedAt, Result: r.message }
+      })));
+    }
+    return results;
+  }
+
+  return {
+    netsuite,
+    getSheets,
+    changeStatus: async (request) => {
+      const result = await changeStatus(request);
+      report(result);
+      return result;
+    },
+    processSheet
+  };
+}
+
+module.exports = {
+  STATUS_ACTIONS,
+  OPEN_TRANSACTION_MODES,
+  STATUS_REQUEST_COLUMNS,
+  STATUS_RESULT_COLUMNS,
+  resolveOpenTransactionMode,
+  resolveMemoField,
+  checkStatusRequest,
+  memoWithReason,
+  createVendorStatus
+};